@@ -0,0 +1,232 @@
+// 客户端认证与访问控制，WebSocket 升级请求和 /api/mcp-proxy 都要经过这里
+//
+// 支持两种凭证，可同时启用，任一通过即可：
+//   AUTH_TOKENS_FILE  静态令牌文件：{ "tokens": [{ "token", "user", "providers": ["glm"], "mcp": true, "admin": false, "quota": {} }] }
+//   AUTH_SECRET       HMAC-SHA256 签名令牌（JWT HS256），用 npm run token -- <用户> 生成
+// 都未配置时不启用认证，只适合在本机开发
+//
+// 令牌通过 Authorization: Bearer <token> 或 ?token=<token> 传递（浏览器 WebSocket 只能用查询参数）
+// providers 为空表示允许所有服务商，mcp 为 false 时不允许使用 MCP 代理，
+// admin 为 true 时可以查看所有用户的用量报表，quota 覆盖默认配额（见 lib/usage.js）
+//
+// 也可以传入自定义认证方式：createAuthenticator({ strategies: [{ name, verify(token, req) }] })
+// verify 返回用户 { id, providers, mcp, admin, quota }，令牌不属于该方式时返回 null，令牌无效时抛出 AuthError
+
+const crypto = require('crypto');
+const fs = require('fs');
+const url = require('url');
+const { isOriginAllowed } = require('./http-utils');
+
+// WebSocket 关闭码沿用 HTTP 状态码语义：4401 未认证，4403 无权访问
+const CLOSE_CODES = {
+    401: 4401,
+    403: 4403
+};
+
+class AuthError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+        this.closeCode = CLOSE_CODES[status] || 1008;
+    }
+}
+
+// 未启用认证时所有连接都属于同一个匿名用户，并且有管理员权限（所有用户的用量报表、/metrics）：
+// 没有认证就区分不了用户，能访问端口的人本来就可以使用所有服务商和 API Key
+const ANONYMOUS_USER = Object.freeze({ id: 'anonymous', providers: null, mcp: true, admin: true, quota: null });
+
+// 令牌文件条目或签名令牌内容转换为用户
+function toUser(id, fields) {
+    return {
+        id,
+        providers: Array.isArray(fields.providers) ? fields.providers : null,
+        mcp: fields.mcp !== false,
+        admin: fields.admin === true,
+        quota: fields.quota && typeof fields.quota === 'object' ? fields.quota : null
+    };
+}
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(input) {
+    return Buffer.from(input.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function hmac(secret, data) {
+    return base64url(crypto.createHmac('sha256', secret).update(data).digest());
+}
+
+// 生成签名令牌，ttlSeconds 为空时不过期
+function signToken({ user, providers = null, mcp = true, admin = false, quota = null, ttlSeconds = null }, secret) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = { sub: user, iat: now };
+    if (providers) payload.providers = providers;
+    if (!mcp) payload.mcp = false;
+    if (admin) payload.admin = true;
+    if (quota) payload.quota = quota;
+    if (ttlSeconds) payload.exp = now + ttlSeconds;
+
+    const data = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' })) + '.' + base64url(JSON.stringify(payload));
+    return data + '.' + hmac(secret, data);
+}
+
+function signedTokenStrategy(secret) {
+    return {
+        name: 'signed',
+        verify(token) {
+            const parts = token.split('.');
+            if (parts.length !== 3) return null;
+
+            const expected = Buffer.from(hmac(secret, parts[0] + '.' + parts[1]));
+            const actual = Buffer.from(parts[2]);
+            if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+                throw new AuthError(401, '令牌签名无效');
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(fromBase64url(parts[1]).toString('utf8'));
+            } catch (e) {
+                throw new AuthError(401, '令牌格式错误');
+            }
+            if (payload.exp && payload.exp * 1000 < Date.now()) {
+                throw new AuthError(401, '令牌已过期');
+            }
+            return toUser(payload.sub, payload);
+        }
+    };
+}
+
+function staticTokenStrategy(file) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const users = new Map();
+    (config.tokens || []).forEach((entry, index) => {
+        if (!entry.token || !entry.user) {
+            throw new Error(`${file} 第 ${index + 1} 个令牌缺少 token 或 user`);
+        }
+        users.set(entry.token, toUser(entry.user, entry));
+    });
+
+    return {
+        name: 'static',
+        size: users.size,
+        verify(token) {
+            return users.get(token) || null;
+        }
+    };
+}
+
+// 从 Authorization 请求头或 ?token= 查询参数读取令牌
+function getToken(req) {
+    const header = req.headers['authorization'];
+    if (header && /^Bearer\s+/i.test(header)) {
+        return header.replace(/^Bearer\s+/i, '').trim();
+    }
+    const query = url.parse(req.url, true).query;
+    return typeof query.token === 'string' ? query.token : null;
+}
+
+function createAuthenticator({ strategies = [] } = {}) {
+    const enabled = strategies.length > 0;
+
+    function authenticate(req) {
+        if (!enabled) return ANONYMOUS_USER;
+
+        const token = getToken(req);
+        if (!token) {
+            throw new AuthError(401, '缺少访问令牌');
+        }
+        for (const strategy of strategies) {
+            const user = strategy.verify(token, req);
+            if (user) return user;
+        }
+        throw new AuthError(401, '访问令牌无效');
+    }
+
+    // 认证并检查访问权限，scope 为服务商名称、'mcp'（MCP 代理）、'tools'（内置工具）、'usage'（用量报表，任何用户都可查看自己的用量）
+    // 或 'metrics'（Prometheus 指标，只有管理员可以抓取）
+    // 内置工具和用量报表对所有认证通过的用户开放
+    function authorize(req, scope) {
+        const origin = req.headers['origin'];
+        if (!isOriginAllowed(origin, req.headers['host'])) {
+            throw new AuthError(403, `不允许的来源: ${origin}`);
+        }
+
+        const user = authenticate(req);
+        if (scope === 'mcp') {
+            if (!user.mcp) {
+                throw new AuthError(403, `用户 ${user.id} 无权使用 MCP 代理`);
+            }
+        } else if (scope === 'metrics') {
+            if (!user.admin) {
+                throw new AuthError(403, `用户 ${user.id} 无权查看监控指标`);
+            }
+        } else if (scope !== 'usage' && scope !== 'tools' && user.providers && !user.providers.includes(scope)) {
+            throw new AuthError(403, `用户 ${user.id} 无权使用 ${scope}`);
+        }
+        return user;
+    }
+
+    function describe() {
+        if (!enabled) return null;
+        return strategies.map(s => s.name === 'static' ? `静态令牌（${s.size} 个）` : s.name === 'signed' ? '签名令牌' : s.name).join('、');
+    }
+
+    return { enabled, authenticate, authorize, describe };
+}
+
+// 根据环境变量创建认证器，令牌文件读取失败时抛出错误
+function createAuthFromEnv(env = process.env) {
+    const strategies = [];
+    if (env.AUTH_TOKENS_FILE) {
+        strategies.push(staticTokenStrategy(env.AUTH_TOKENS_FILE));
+    }
+    if (env.AUTH_SECRET) {
+        strategies.push(signedTokenStrategy(env.AUTH_SECRET));
+    }
+    return createAuthenticator({ strategies });
+}
+
+// 命令行生成签名令牌：npm run token -- <用户> [--providers glm,doubao] [--days 30] [--no-mcp] [--admin]
+if (require.main === module) {
+    require('dotenv').config();
+    const options = { user: null, providers: null, days: null, mcp: true, admin: false };
+    const args = process.argv.slice(2);
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--providers') options.providers = args[++i];
+        else if (args[i] === '--days') options.days = Number(args[++i]);
+        else if (args[i] === '--no-mcp') options.mcp = false;
+        else if (args[i] === '--admin') options.admin = true;
+        else options.user = args[i];
+    }
+
+    if (!process.env.AUTH_SECRET) {
+        console.error('❌ 错误: 请先在 .env 中设置 AUTH_SECRET');
+        process.exit(1);
+    }
+    if (!options.user) {
+        console.error('用法: npm run token -- <用户> [--providers glm,doubao] [--days 30] [--no-mcp] [--admin]');
+        process.exit(1);
+    }
+
+    console.log(signToken({
+        user: options.user,
+        providers: options.providers ? options.providers.split(',').map(s => s.trim()).filter(Boolean) : null,
+        mcp: options.mcp,
+        admin: options.admin,
+        ttlSeconds: options.days > 0 ? options.days * 86400 : null
+    }, process.env.AUTH_SECRET));
+}
+
+module.exports = {
+    AuthError,
+    createAuthenticator,
+    createAuthFromEnv,
+    signedTokenStrategy,
+    staticTokenStrategy,
+    signToken,
+    getToken
+};
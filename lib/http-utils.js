@@ -0,0 +1,132 @@
+// HTTP 辅助函数（CORS、JSON 响应、读取请求体）
+//
+// ALLOWED_ORIGINS 为逗号分隔的来源白名单（如 https://app.example.com,http://localhost:8000）
+// 未设置时允许任意来源；同源请求（Origin 与 Host 一致）总是允许
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Max-Age': '86400'
+};
+
+function getAllowedOrigins() {
+    const value = process.env.ALLOWED_ORIGINS;
+    return value ? value.split(',').map(s => s.trim().replace(/\/$/, '')).filter(Boolean) : null;
+}
+
+// 没有 Origin 的请求不是来自浏览器页面，不受来源限制
+function isOriginAllowed(origin, host) {
+    const allowed = getAllowedOrigins();
+    if (!allowed || !origin) return true;
+    if (allowed.includes(origin)) return true;
+    try {
+        return new URL(origin).host === host;
+    } catch (e) {
+        return false;
+    }
+}
+
+// 未设置白名单时返回 *，否则只回显允许的来源
+function corsHeaders(req) {
+    const origin = req && req.headers['origin'];
+    if (!getAllowedOrigins()) {
+        return Object.assign({ 'Access-Control-Allow-Origin': '*' }, CORS_HEADERS);
+    }
+    if (origin && isOriginAllowed(origin, req.headers['host'])) {
+        return Object.assign({ 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' }, CORS_HEADERS);
+    }
+    return { 'Vary': 'Origin' };
+}
+
+// 处理 CORS 预检请求
+function handlePreflight(req, res) {
+    res.writeHead(200, corsHeaders(req));
+    res.end();
+}
+
+// 请求体没有读完（如超过大小限制）时响应后断开连接，Node 不会再替我们读完剩余的数据
+function sendJson(res, statusCode, body) {
+    const headers = Object.assign({ 'Content-Type': 'application/json' }, corsHeaders(res.req));
+    if (res.req && !res.req.complete) {
+        headers['Connection'] = 'close';
+    }
+    res.writeHead(statusCode, headers);
+    res.end(JSON.stringify(body));
+}
+
+// 请求体默认最大 1MB
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+// 读取请求体，超过 maxBytes 时立即以 413 HttpError 失败并停止读取（声明的 Content-Length 超过时不读取），
+// 调用方用 sendJson 返回错误后连接随即断开
+function readBody(req, maxBytes = DEFAULT_MAX_BODY_BYTES) {
+    return new Promise((resolve, reject) => {
+        const tooLarge = () => {
+            req.pause();
+            reject(new HttpError(413, `Request body too large (max ${maxBytes} bytes)`));
+        };
+        if (Number(req.headers['content-length']) > maxBytes) {
+            tooLarge();
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        let failed = false;
+        req.on('data', chunk => {
+            if (failed) return;
+            size += chunk.length;
+            if (size > maxBytes) {
+                failed = true;
+                chunks.length = 0;
+                tooLarge();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (!failed) resolve(Buffer.concat(chunks).toString('utf8'));
+        });
+        req.on('error', reject);
+    });
+}
+
+// 解析 JSON 请求体，空请求体为 {}；不是 JSON 对象（null、数组、数字等）时以 400 HttpError 失败
+function parseJsonObject(body) {
+    if (!body) return {};
+    let value;
+    try {
+        value = JSON.parse(body);
+    } catch (e) {
+        throw new HttpError(400, `Invalid JSON: ${e.message}`);
+    }
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new HttpError(400, 'Request body must be a JSON object');
+    }
+    return value;
+}
+
+// 读取 JSON 请求体，见 parseJsonObject
+async function readJsonBody(req, maxBytes) {
+    return parseJsonObject(await readBody(req, maxBytes));
+}
+
+module.exports = {
+    CORS_HEADERS,
+    corsHeaders,
+    isOriginAllowed,
+    handlePreflight,
+    sendJson,
+    HttpError,
+    readBody,
+    parseJsonObject,
+    readJsonBody
+};
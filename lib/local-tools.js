@@ -0,0 +1,691 @@
+// 代理内置的本地工具，不需要外部 MCP 服务，适合离线课堂等场景
+//
+//   get_current_time   当前时间和时区
+//   calculate          计算数学表达式（不使用 eval）
+//   convert_unit       长度、质量、体积、面积、速度、时间、数据量和温度的单位换算
+//   notes              会话内的笔记本，同一会话的笔记在多次调用之间保留
+//   search_knowledge   在本地知识库文件（KNOWLEDGE_FILE）中查找内容
+//
+// 两种使用方式：
+//   代理端执行工具（lib/tool-runner.js）  工具自动合并到会话配置中
+//   页面执行工具                        GET /api/tools 获取工具定义，POST /api/tools/call 调用
+//
+// 环境变量：
+//   BUILTIN_TOOLS   设为 false 时不注册内置工具
+//   KNOWLEDGE_FILE  知识库文件：JSON（[{ "title", "content" }]）或 Markdown / 文本（按标题或空行分段）
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+const { sendJson, HttpError, readJsonBody } = require('./http-utils');
+const { logger } = require('./logger');
+const { registerLocalTool, createToolRunner, rejectedToolResult } = require('./tool-runner');
+
+const MAX_EXPRESSION_LENGTH = 200;
+
+const MATH_FUNCTIONS = {
+    sqrt: Math.sqrt,
+    cbrt: Math.cbrt,
+    abs: Math.abs,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+    ln: Math.log,
+    log: Math.log10,
+    log2: Math.log2,
+    exp: Math.exp,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    min: Math.min,
+    max: Math.max,
+    pow: Math.pow
+};
+
+const MATH_CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E
+};
+
+function tokenize(expression) {
+    const text = expression
+        .replace(/×/g, '*')
+        .replace(/÷/g, '/')
+        .replace(/（/g, '(')
+        .replace(/）/g, ')')
+        .replace(/，/g, ',')
+        .replace(/\*\*/g, '^');
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/%^(),]))/y;
+    let index = 0;
+    while (index < text.length) {
+        if (/^\s*$/.test(text.slice(index))) break;
+        pattern.lastIndex = index;
+        const match = pattern.exec(text);
+        if (!match) {
+            throw new Error(`无法识别的字符: ${text.slice(index).trim()[0]}`);
+        }
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+        else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2].toLowerCase() });
+        else tokens.push({ type: 'op', value: match[3] });
+        index = pattern.lastIndex;
+    }
+    return tokens;
+}
+
+// 递归下降求值：加减 < 乘除取余 < 正负号 < 乘方（右结合）
+function evaluateExpression(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new Error('表达式不能为空');
+    }
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+        throw new Error(`表达式过长（最多 ${MAX_EXPRESSION_LENGTH} 个字符）`);
+    }
+    const tokens = tokenize(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+    function expect(value) {
+        if (!isOp(value)) throw new Error(`缺少 ${value}`);
+        position++;
+    }
+
+    function parseSum() {
+        let value = parseProduct();
+        while (isOp('+') || isOp('-')) {
+            const op = tokens[position++].value;
+            const right = parseProduct();
+            value = op === '+' ? value + right : value - right;
+        }
+        return value;
+    }
+
+    function parseProduct() {
+        let value = parseUnary();
+        while (isOp('*') || isOp('/') || isOp('%')) {
+            const op = tokens[position++].value;
+            const right = parseUnary();
+            if (op === '*') value *= right;
+            else if (op === '/') value /= right;
+            else value %= right;
+        }
+        return value;
+    }
+
+    function parseUnary() {
+        if (isOp('-')) {
+            position++;
+            return -parseUnary();
+        }
+        if (isOp('+')) {
+            position++;
+            return parseUnary();
+        }
+        return parsePower();
+    }
+
+    function parsePower() {
+        const base = parsePrimary();
+        if (isOp('^')) {
+            position++;
+            return Math.pow(base, parseUnary());
+        }
+        return base;
+    }
+
+    function parsePrimary() {
+        const token = tokens[position++];
+        if (!token) throw new Error('表达式不完整');
+        if (token.type === 'number') return token.value;
+        if (token.type === 'op' && token.value === '(') {
+            const value = parseSum();
+            expect(')');
+            return value;
+        }
+        if (token.type === 'name') {
+            if (isOp('(')) {
+                const fn = MATH_FUNCTIONS[token.value];
+                if (!fn) throw new Error(`不支持的函数: ${token.value}`);
+                position++;
+                const args = [];
+                if (!isOp(')')) {
+                    args.push(parseSum());
+                    while (isOp(',')) {
+                        position++;
+                        args.push(parseSum());
+                    }
+                }
+                expect(')');
+                return fn(...args);
+            }
+            if (MATH_CONSTANTS[token.value] !== undefined) return MATH_CONSTANTS[token.value];
+            throw new Error(`未知的名称: ${token.value}`);
+        }
+        throw new Error(`意外的符号: ${token.value}`);
+    }
+
+    const result = parseSum();
+    if (position < tokens.length) {
+        throw new Error(`意外的符号: ${tokens[position].value}`);
+    }
+    if (!Number.isFinite(result)) {
+        throw new Error('计算结果不是有限的数（可能除以了 0）');
+    }
+    return Number(result.toPrecision(12));
+}
+
+// 每类单位换算到基准单位（第一个）的系数，别名不区分大小写
+const UNIT_CATEGORIES = {
+    length: [
+        [['m', '米', '公尺', 'meter', 'metre'], 1],
+        [['km', '千米', '公里', 'kilometer'], 1000],
+        [['cm', '厘米', 'centimeter'], 0.01],
+        [['mm', '毫米', 'millimeter'], 0.001],
+        [['um', 'μm', '微米'], 1e-6],
+        [['nm', '纳米'], 1e-9],
+        [['mi', 'mile', 'miles', '英里'], 1609.344],
+        [['yd', 'yard', '码'], 0.9144],
+        [['ft', 'foot', 'feet', '英尺'], 0.3048],
+        [['in', 'inch', 'inches', '英寸'], 0.0254],
+        [['nmi', '海里'], 1852],
+        [['里'], 500],
+        [['丈'], 10 / 3],
+        [['尺'], 1 / 3],
+        [['寸'], 1 / 30]
+    ],
+    mass: [
+        [['kg', '千克', '公斤', 'kilogram'], 1],
+        [['g', '克', 'gram'], 0.001],
+        [['mg', '毫克'], 1e-6],
+        [['t', '吨', 'ton', 'tonne'], 1000],
+        [['lb', 'lbs', 'pound', '磅'], 0.45359237],
+        [['oz', 'ounce', '盎司'], 0.028349523125],
+        [['斤'], 0.5],
+        [['两'], 0.05]
+    ],
+    volume: [
+        [['l', '升', 'liter', 'litre'], 1],
+        [['ml', '毫升'], 0.001],
+        [['m3', '立方米'], 1000],
+        [['cm3', '立方厘米'], 0.001],
+        [['gal', 'gallon', '加仑'], 3.785411784],
+        [['qt', 'quart'], 0.946352946],
+        [['pt', 'pint', '品脱'], 0.473176473],
+        [['cup', '杯'], 0.2365882365],
+        [['floz', 'fl oz'], 0.0295735295625]
+    ],
+    area: [
+        [['m2', '平方米'], 1],
+        [['km2', '平方千米', '平方公里'], 1e6],
+        [['cm2', '平方厘米'], 1e-4],
+        [['ha', 'hectare', '公顷'], 1e4],
+        [['亩'], 10000 / 15],
+        [['acre', '英亩'], 4046.8564224],
+        [['ft2', '平方英尺'], 0.09290304],
+        [['mi2', '平方英里'], 2589988.110336]
+    ],
+    speed: [
+        [['m/s', '米每秒', '米/秒'], 1],
+        [['km/h', 'kmh', 'kph', '千米每小时', '公里每小时', '千米/小时', '公里/小时'], 1 / 3.6],
+        [['mph', '英里每小时'], 0.44704],
+        [['kn', 'knot', 'knots', '节'], 1852 / 3600]
+    ],
+    time: [
+        [['s', 'sec', 'second', 'seconds', '秒'], 1],
+        [['ms', '毫秒'], 0.001],
+        [['min', 'minute', 'minutes', '分钟', '分'], 60],
+        [['h', 'hr', 'hour', 'hours', '小时', '时'], 3600],
+        [['d', 'day', 'days', '天', '日'], 86400],
+        [['week', 'weeks', '周', '星期'], 604800]
+    ],
+    data: [
+        [['b', 'byte', 'bytes', '字节'], 1],
+        [['bit', 'bits', '比特', '位'], 0.125],
+        [['kb', 'kib'], 1024],
+        [['mb', 'mib'], 1024 ** 2],
+        [['gb', 'gib'], 1024 ** 3],
+        [['tb', 'tib'], 1024 ** 4]
+    ]
+};
+
+const TEMPERATURE_UNITS = {
+    c: ['c', '℃', '°c', 'celsius', '摄氏度', '摄氏'],
+    f: ['f', '℉', '°f', 'fahrenheit', '华氏度', '华氏'],
+    k: ['k', 'kelvin', '开尔文', '开']
+};
+
+function findUnit(name) {
+    const key = String(name || '').trim().toLowerCase();
+    for (const [symbol, aliases] of Object.entries(TEMPERATURE_UNITS)) {
+        if (aliases.includes(key)) return { category: 'temperature', symbol };
+    }
+    for (const [category, units] of Object.entries(UNIT_CATEGORIES)) {
+        const unit = units.find(([aliases]) => aliases.includes(key));
+        if (unit) return { category, factor: unit[1] };
+    }
+    return null;
+}
+
+function toKelvin(value, symbol) {
+    if (symbol === 'c') return value + 273.15;
+    if (symbol === 'f') return (value - 32) * 5 / 9 + 273.15;
+    return value;
+}
+
+function fromKelvin(value, symbol) {
+    if (symbol === 'c') return value - 273.15;
+    if (symbol === 'f') return (value - 273.15) * 9 / 5 + 32;
+    return value;
+}
+
+function convertUnit(value, fromName, toName) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new Error(`数值无效: ${value}`);
+    }
+    const from = findUnit(fromName);
+    const to = findUnit(toName);
+    if (!from) throw new Error(`不支持的单位: ${fromName}`);
+    if (!to) throw new Error(`不支持的单位: ${toName}`);
+    if (from.category !== to.category) {
+        throw new Error(`${fromName} 和 ${toName} 不是同一类单位，无法换算`);
+    }
+    const result = from.category === 'temperature'
+        ? fromKelvin(toKelvin(number, from.symbol), to.symbol)
+        : number * from.factor / to.factor;
+    return { value: number, from: fromName, to: toName, result: Number(result.toPrecision(10)), category: from.category };
+}
+
+const WEEKDAYS = ['星期日', '星期一', '星期二', '星期三', '星期四', '星期五', '星期六'];
+
+function currentTime(timezone, now = new Date()) {
+    const timeZone = timezone || process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    let parts;
+    try {
+        parts = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            weekday: 'short',
+            hourCycle: 'h23',
+            timeZoneName: 'longOffset'
+        }).formatToParts(now);
+    } catch (e) {
+        throw new Error(`无效的时区: ${timeZone}（请使用 IANA 时区名称，如 Asia/Shanghai）`);
+    }
+    const part = (type) => parts.find(p => p.type === type).value;
+    const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(part('weekday'));
+    const offset = part('timeZoneName').replace('GMT', '') || '+00:00';
+    return {
+        timezone: timeZone,
+        datetime: `${part('year')}-${part('month')}-${part('day')} ${part('hour')}:${part('minute')}:${part('second')}`,
+        weekday: WEEKDAYS[weekday],
+        utc_offset: offset,
+        unix_ms: now.getTime()
+    };
+}
+
+const MAX_NOTES = 100;
+const MAX_NOTE_LENGTH = 2000;
+
+function runNotes(args, state) {
+    if (!state.notes) {
+        state.notes = [];
+        state.nextNoteId = 1;
+    }
+    switch (args.action) {
+        case 'add': {
+            const text = typeof args.text === 'string' ? args.text.trim() : '';
+            if (!text) throw new Error('add 需要 text');
+            if (text.length > MAX_NOTE_LENGTH) throw new Error(`笔记过长（最多 ${MAX_NOTE_LENGTH} 个字符）`);
+            if (state.notes.length >= MAX_NOTES) throw new Error(`笔记已满（最多 ${MAX_NOTES} 条），请先删除`);
+            const note = { id: state.nextNoteId++, text, created_at: new Date().toISOString() };
+            state.notes.push(note);
+            return { saved: note, count: state.notes.length };
+        }
+        case 'list':
+            return { notes: state.notes };
+        case 'remove': {
+            const index = state.notes.findIndex(note => note.id === Number(args.id));
+            if (index === -1) throw new Error(`没有编号为 ${args.id} 的笔记`);
+            const [removed] = state.notes.splice(index, 1);
+            return { removed, count: state.notes.length };
+        }
+        case 'clear': {
+            const count = state.notes.length;
+            state.notes = [];
+            return { cleared: count };
+        }
+        default:
+            throw new Error('action 必须是 add、list、remove 或 clear');
+    }
+}
+
+const MAX_KNOWLEDGE_RESULTS = 5;
+const MAX_SNIPPET_LENGTH = 500;
+
+let knowledgeCache = { file: null, mtimeMs: 0, entries: [] };
+
+// Markdown / 文本按标题分段，没有标题时按空行分段
+function parseKnowledgeText(text) {
+    const entries = [];
+    let current = null;
+    text.split(/\r?\n/).forEach(line => {
+        const heading = /^#{1,6}\s+(.*)$/.exec(line);
+        if (heading) {
+            current = { title: heading[1].trim(), content: '' };
+            entries.push(current);
+        } else if (current) {
+            current.content += line + '\n';
+        }
+    });
+    if (entries.length > 0) {
+        return entries.map(entry => ({ title: entry.title, content: entry.content.trim() }));
+    }
+    return text.split(/\r?\n\s*\r?\n/).map(block => block.trim()).filter(Boolean)
+        .map(block => ({ title: block.split(/\r?\n/)[0].slice(0, 40), content: block }));
+}
+
+// 文件修改后自动重新加载
+function loadKnowledge() {
+    const file = process.env.KNOWLEDGE_FILE;
+    if (!file) {
+        throw new Error('未配置知识库文件（KNOWLEDGE_FILE）');
+    }
+    const { mtimeMs } = fs.statSync(file);
+    if (knowledgeCache.file === file && knowledgeCache.mtimeMs === mtimeMs) {
+        return knowledgeCache.entries;
+    }
+    const text = fs.readFileSync(file, 'utf8');
+    let entries;
+    if (path.extname(file).toLowerCase() === '.json') {
+        const data = JSON.parse(text);
+        entries = (Array.isArray(data) ? data : data.entries || [])
+            .filter(entry => entry && typeof entry.content === 'string')
+            .map(entry => ({ title: String(entry.title || ''), content: entry.content }));
+    } else {
+        entries = parseKnowledgeText(text);
+    }
+    knowledgeCache = { file, mtimeMs, entries };
+    logger.info('knowledge file loaded', { file, entries: entries.length });
+    return entries;
+}
+
+// 查询词：英文和数字按单词，中文按相邻两字（单字查询时按单字）
+function queryTerms(query) {
+    const text = query.toLowerCase();
+    const terms = new Set(text.match(/[a-z0-9]{2,}/g) || []);
+    (text.match(/[一-鿿]+/g) || []).forEach(run => {
+        if (run.length === 1) {
+            terms.add(run);
+            return;
+        }
+        for (let i = 0; i < run.length - 1; i++) {
+            terms.add(run.slice(i, i + 2));
+        }
+    });
+    return Array.from(terms);
+}
+
+function countOccurrences(text, term) {
+    let count = 0;
+    let index = text.indexOf(term);
+    while (index !== -1) {
+        count++;
+        index = text.indexOf(term, index + term.length);
+    }
+    return count;
+}
+
+function searchKnowledge(query, limit) {
+    if (typeof query !== 'string' || !query.trim()) {
+        throw new Error('query 不能为空');
+    }
+    const terms = queryTerms(query);
+    const max = Math.min(Math.max(Number(limit) || 3, 1), MAX_KNOWLEDGE_RESULTS);
+    const results = loadKnowledge()
+        .map(entry => {
+            const title = entry.title.toLowerCase();
+            const content = entry.content.toLowerCase();
+            const score = terms.reduce((sum, term) => sum + countOccurrences(title, term) * 3 + countOccurrences(content, term), 0);
+            return { entry, score };
+        })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, max)
+        .map(({ entry }) => ({
+            title: entry.title,
+            content: entry.content.length > MAX_SNIPPET_LENGTH ? entry.content.slice(0, MAX_SNIPPET_LENGTH) + '…' : entry.content
+        }));
+    if (results.length === 0) {
+        return `知识库中没有找到与「${query}」相关的内容`;
+    }
+    return { query, results };
+}
+
+const BUILTIN_TOOLS = [
+    {
+        name: 'get_current_time',
+        description: '获取当前日期、时间和星期。可以指定时区，默认为服务器所在时区',
+        parameters: {
+            type: 'object',
+            properties: {
+                timezone: { type: 'string', description: 'IANA 时区名称，如 Asia/Shanghai、America/New_York' }
+            }
+        },
+        execute: (args) => currentTime(args.timezone)
+    },
+    {
+        name: 'calculate',
+        description: '计算数学表达式，支持 + - * / % ^、括号、sqrt、abs、sin、cos、tan（弧度）、ln、log（以 10 为底）、round、min、max 和常数 pi、e',
+        parameters: {
+            type: 'object',
+            properties: {
+                expression: { type: 'string', description: '数学表达式，如 (3 + 5) * 2 ^ 3 或 sqrt(2)' }
+            },
+            required: ['expression']
+        },
+        execute: (args) => ({ expression: args.expression, result: evaluateExpression(args.expression) })
+    },
+    {
+        name: 'convert_unit',
+        description: '单位换算，支持长度、质量、体积、面积、速度、时间、数据量和温度，单位可以用符号或中文名称，如 km、英里、斤、℃',
+        parameters: {
+            type: 'object',
+            properties: {
+                value: { type: 'number', description: '数值' },
+                from: { type: 'string', description: '原单位' },
+                to: { type: 'string', description: '目标单位' }
+            },
+            required: ['value', 'from', 'to']
+        },
+        execute: (args) => convertUnit(args.value, args.from, args.to)
+    },
+    {
+        name: 'notes',
+        description: '本次对话的笔记本：add 记下一条笔记，list 查看全部笔记，remove 按编号删除，clear 清空',
+        parameters: {
+            type: 'object',
+            properties: {
+                action: { type: 'string', enum: ['add', 'list', 'remove', 'clear'], description: '操作' },
+                text: { type: 'string', description: 'add 时的笔记内容' },
+                id: { type: 'number', description: 'remove 时的笔记编号' }
+            },
+            required: ['action']
+        },
+        execute: (args, context) => runNotes(args, context.state)
+    },
+    {
+        name: 'search_knowledge',
+        description: '在本地知识库中查找资料，回答课程内容、规章制度等问题前先查询',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: '要查找的关键词或问题' },
+                limit: { type: 'number', description: '最多返回几条结果（默认 3，最多 5）' }
+            },
+            required: ['query']
+        },
+        execute: (args) => searchKnowledge(args.query, args.limit)
+    }
+];
+
+let registered = false;
+
+// 注册内置工具（BUILTIN_TOOLS=false 时跳过，未设置 KNOWLEDGE_FILE 时不注册 search_knowledge），返回注册的工具名
+function registerBuiltinTools(env = process.env) {
+    if (String(env.BUILTIN_TOOLS).toLowerCase() === 'false') return [];
+    const tools = BUILTIN_TOOLS.filter(tool => tool.name !== 'search_knowledge' || env.KNOWLEDGE_FILE);
+    if (!registered) {
+        tools.forEach(registerLocalTool);
+        registered = true;
+    }
+    return tools.map(tool => tool.name);
+}
+
+// 页面执行工具时，每个用户的每个会话（session_id）一个执行器，笔记保存在执行器中
+const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+const sessionRunners = new Map();
+
+// 策略为 confirm 的工具调用发出的确认令牌：令牌 → { key, name, args, expiresAt }，只能用一次
+// 超过 MAX_PENDING_CONFIRMATIONS 个时丢弃最早的
+const CONFIRMATION_TTL_MS = 5 * 60 * 1000;
+const MAX_PENDING_CONFIRMATIONS = 1000;
+const pendingConfirmations = new Map();
+
+const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    sessionRunners.forEach((entry, key) => {
+        if (now - entry.lastUsed > SESSION_IDLE_TIMEOUT_MS) sessionRunners.delete(key);
+    });
+    pendingConfirmations.forEach((pending, token) => {
+        if (now > pending.expiresAt) pendingConfirmations.delete(token);
+    });
+}, 60000);
+sweepTimer.unref();
+
+function sessionKey(user, sessionId) {
+    return `${user ? user.id : 'anonymous'} ${sessionId}`;
+}
+
+function getSessionRunner(user, sessionId, log) {
+    const key = sessionKey(user, sessionId);
+    let entry = sessionRunners.get(key);
+    if (!entry) {
+        entry = { runner: createToolRunner({ user, log }) };
+        sessionRunners.set(key, entry);
+    }
+    entry.lastUsed = Date.now();
+    return entry.runner;
+}
+
+// 为这次调用（同一用户、会话、工具和参数）发一个确认令牌
+function issueConfirmation(key, name, args) {
+    if (pendingConfirmations.size >= MAX_PENDING_CONFIRMATIONS) {
+        pendingConfirmations.delete(pendingConfirmations.keys().next().value);
+    }
+    const token = crypto.randomBytes(16).toString('hex');
+    pendingConfirmations.set(token, { key, name, args: JSON.stringify(args), expiresAt: Date.now() + CONFIRMATION_TTL_MS });
+    return token;
+}
+
+// 检查并用掉确认令牌，令牌必须是为同一次调用发出的且没有过期
+function consumeConfirmation(token, key, name, args) {
+    const pending = typeof token === 'string' ? pendingConfirmations.get(token) : null;
+    if (!pending) return false;
+    pendingConfirmations.delete(token);
+    return pending.key === key && pending.name === name && pending.args === JSON.stringify(args) && Date.now() <= pending.expiresAt;
+}
+
+//   GET  /api/tools                                    返回 { tools }，格式与 GLM session.update 中的 tools 相同
+//   POST /api/tools/call  { name, arguments, session_id, confirmation_token }  返回 { output, is_error, attempts, duration_ms }
+//                         策略为 deny 时返回 403；为 confirm 且没有有效的 confirmation_token 时返回 409 和
+//                         这次调用的 confirmation_token，页面让用户确认后带上它重新请求（参数相同，令牌只能用一次）
+//
+// 确认令牌保证每次执行都对应一次 409 和一次重新请求，且参数就是 409 时的参数；但代理无法知道中间是否真的有人确认，
+// 持有访问令牌的客户端可以自己完成两步。必须禁止的工具请使用 deny 策略
+async function handleToolsApi(req, res) {
+    const log = req.log || logger;
+    const pathname = url.parse(req.url).pathname;
+
+    if (pathname === '/api/tools') {
+        if (req.method !== 'GET') {
+            sendJson(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+        sendJson(res, 200, { tools: createToolRunner({ user: req.user, log }).definitions() });
+        return;
+    }
+
+    if (pathname !== '/api/tools/call') {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+    if (req.method !== 'POST') {
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    let request;
+    try {
+        request = await readJsonBody(req);
+    } catch (e) {
+        sendJson(res, e instanceof HttpError ? e.status : 400, {
+            error: e instanceof HttpError ? e.message : 'Invalid request format: ' + e.message
+        });
+        return;
+    }
+    if (typeof request.name !== 'string' || !request.name) {
+        sendJson(res, 400, { error: 'Tool name is required' });
+        return;
+    }
+    const sessionId = request.session_id === undefined ? 'default' : request.session_id;
+    if (typeof sessionId !== 'string' || !/^[A-Za-z0-9_.:-]{1,128}$/.test(sessionId)) {
+        sendJson(res, 400, { error: 'Invalid session_id' });
+        return;
+    }
+
+    const key = sessionKey(req.user, sessionId);
+    const runner = getSessionRunner(req.user, sessionId, log);
+    if (!runner.has(request.name)) {
+        sendJson(res, 404, { error: `Unknown tool: ${request.name}` });
+        return;
+    }
+    // 与代理端执行工具时相同的策略：deny 直接拒绝；confirm 需要页面先让用户确认，再带确认令牌重新请求
+    const policy = runner.policy(request.name);
+    if (policy === 'deny') {
+        log.info('tool call decision', { tool: request.name, policy, decision: 'denied' });
+        sendJson(res, 403, Object.assign({ error: `Tool ${request.name} is denied by policy`, policy }, rejectedToolResult(request.name, 'denied')));
+        return;
+    }
+    if (policy === 'confirm' && !consumeConfirmation(request.confirmation_token, key, request.name, request.arguments)) {
+        sendJson(res, 409, {
+            error: `Tool ${request.name} requires user confirmation`,
+            policy,
+            requires_confirmation: true,
+            confirmation_token: issueConfirmation(key, request.name, request.arguments)
+        });
+        return;
+    }
+    log.info('tool call decision', { tool: request.name, policy, decision: policy === 'confirm' ? 'approved' : 'auto' });
+    sendJson(res, 200, await runner.run(request.name, request.arguments));
+}
+
+module.exports = {
+    BUILTIN_TOOLS,
+    evaluateExpression,
+    convertUnit,
+    currentTime,
+    searchKnowledge,
+    registerBuiltinTools,
+    handleToolsApi
+};
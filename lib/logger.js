@@ -0,0 +1,72 @@
+// 结构化日志：每条日志一行 JSON，便于日志系统检索和聚合
+//
+//   {"time":"...","level":"info","msg":"upstream connected","conn":"...","provider":"glm","latency_ms":120}
+//
+// 环境变量：
+//   LOG_LEVEL   debug | info | warn | error（默认 info）
+//   LOG_FORMAT  json（默认）| pretty（本地开发时更易读）
+//
+// logger.child({ conn, provider }) 返回带固定字段的子日志器，每个连接一个，日志中的 conn 即连接 ID
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40
+};
+
+function getLevel() {
+    return LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+}
+
+// Error 对象转换为可序列化的字段
+function serializeValue(value) {
+    if (value instanceof Error) {
+        const error = { message: value.message };
+        if (value.code) error.code = value.code;
+        if (getLevel() <= LEVELS.debug && value.stack) error.stack = value.stack;
+        return error;
+    }
+    if (Buffer.isBuffer(value)) {
+        return `<${value.length} bytes>`;
+    }
+    return value;
+}
+
+function formatPretty(entry) {
+    const { time, level, msg, ...fields } = entry;
+    const rest = Object.keys(fields).length > 0 ? ' ' + JSON.stringify(fields) : '';
+    return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${rest}`;
+}
+
+function write(level, bindings, msg, fields) {
+    if (LEVELS[level] < getLevel()) return;
+
+    const entry = { time: new Date().toISOString(), level, msg };
+    Object.entries(Object.assign({}, bindings, fields)).forEach(([key, value]) => {
+        if (value !== undefined) entry[key] = serializeValue(value);
+    });
+
+    const line = process.env.LOG_FORMAT === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(line + '\n');
+}
+
+function createLogger(bindings = {}) {
+    return {
+        debug: (msg, fields) => write('debug', bindings, msg, fields),
+        info: (msg, fields) => write('info', bindings, msg, fields),
+        warn: (msg, fields) => write('warn', bindings, msg, fields),
+        error: (msg, fields) => write('error', bindings, msg, fields),
+        isDebugEnabled: () => getLevel() <= LEVELS.debug,
+        child: (extra) => createLogger(Object.assign({}, bindings, extra))
+    };
+}
+
+const logger = createLogger();
+
+module.exports = {
+    LEVELS,
+    logger,
+    createLogger
+};
@@ -0,0 +1,629 @@
+// MCP 客户端，代理用它连接 MCP 服务获取工具定义和调用工具
+//
+// 支持两种传输方式：
+//   Streamable HTTP（2025-03-26 起）  每个 JSON-RPC 消息一个 POST，响应为 JSON 或 SSE 流，会话由 Mcp-Session-Id 请求头维持
+//   HTTP + SSE（2024-11-05）          GET 建立 SSE 流，服务端通过 endpoint 事件告知 POST 地址，响应从 SSE 流返回
+// 先按 Streamable HTTP 发送 initialize，服务端返回 4xx 时改用 HTTP + SSE（规范建议的兼容方式）
+//
+// 连接流程：initialize → notifications/initialized → tools/list（按 nextCursor 翻页）→ tools/call
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+const { guardTarget } = require('./url-guard');
+
+const PROTOCOL_VERSION = '2025-06-18';
+const CLIENT_INFO = { name: 'realtime-voice-proxy', version: '1.0.0' };
+
+// 访问 MCP 服务的大小和时间限制（MCP 客户端和 /api/mcp-proxy 共用），可用环境变量覆盖：
+// 请求体和响应体的最大字节数，连接和读取（无数据）超时毫秒数
+function getMcpLimits(env = process.env) {
+    const pick = (value, fallback) => {
+        const number = Number(value);
+        return number > 0 ? number : fallback;
+    };
+    return {
+        maxBodyBytes: pick(env.MCP_PROXY_MAX_BODY_BYTES, 1024 * 1024),
+        maxResponseBytes: pick(env.MCP_PROXY_MAX_RESPONSE_BYTES, 10 * 1024 * 1024),
+        connectTimeoutMs: pick(env.MCP_PROXY_CONNECT_TIMEOUT_MS, 5000),
+        readTimeoutMs: pick(env.MCP_PROXY_READ_TIMEOUT_MS, 30000)
+    };
+}
+
+// tools/list 最多翻页次数，防止服务端返回的 nextCursor 循环
+const MAX_TOOL_PAGES = 50;
+
+// 连接池中的客户端闲置超过该时间后关闭
+const IDLE_TIMEOUT_MS = 10 * 60 * 1000;
+
+class McpError extends Error {
+    // code 为 JSON-RPC 错误码，或 HTTP 状态码（status）
+    constructor(message, { code = null, status = null, data = undefined } = {}) {
+        super(message);
+        this.name = 'McpError';
+        this.code = code;
+        this.status = status;
+        this.data = data;
+    }
+}
+
+function responseTooLarge(maxBytes) {
+    return new McpError(`MCP 服务的响应超过 ${maxBytes} 字节`, { code: 'too_large' });
+}
+
+// 解析 SSE 流，每个事件调用 onEvent({ event, data, id })
+// maxBytes：整个流的最大字节数；maxEventBytes：单个事件的最大字节数（长连接的 SSE 流只限制单个事件）
+// 超过时以 McpError 销毁流（触发 'error' 事件）
+function parseSse(stream, onEvent, { maxBytes = Infinity, maxEventBytes = Infinity } = {}) {
+    let buffer = '';
+    let event = { event: 'message', data: [], id: null };
+    let received = 0;
+    let eventSize = 0;
+
+    function dispatch() {
+        if (event.data.length > 0) {
+            onEvent({ event: event.event, data: event.data.join('\n'), id: event.id });
+        }
+        event = { event: 'message', data: [], id: null };
+        eventSize = 0;
+    }
+
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+        received += Buffer.byteLength(chunk);
+        if (received > maxBytes) {
+            stream.destroy(responseTooLarge(maxBytes));
+            return;
+        }
+        buffer += chunk;
+        const lines = buffer.split(/\r\n|\r|\n/);
+        buffer = lines.pop();
+        lines.forEach(line => {
+            if (line === '') {
+                dispatch();
+                return;
+            }
+            if (line.startsWith(':')) return;
+            const index = line.indexOf(':');
+            const field = index === -1 ? line : line.slice(0, index);
+            const value = index === -1 ? '' : line.slice(index + 1).replace(/^ /, '');
+            if (field === 'event') event.event = value;
+            else if (field === 'data') {
+                event.data.push(value);
+                eventSize += value.length;
+            } else if (field === 'id') event.id = value;
+        });
+        // 迟迟不结束的事件（或没有换行的一行）也不能无限缓存
+        if (eventSize + buffer.length > maxEventBytes) {
+            stream.destroy(responseTooLarge(maxEventBytes));
+        }
+    });
+}
+
+// 读取响应体，超过 maxBytes 时销毁流并以 McpError 失败
+function readBody(stream, maxBytes = Infinity) {
+    return new Promise((resolve, reject) => {
+        if (Number(stream.headers && stream.headers['content-length']) > maxBytes) {
+            stream.destroy();
+            reject(responseTooLarge(maxBytes));
+            return;
+        }
+        const chunks = [];
+        let size = 0;
+        stream.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                stream.destroy(responseTooLarge(maxBytes));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        stream.on('error', reject);
+        // 读取超时等原因中断时不会触发 'end'
+        stream.on('close', () => reject(new McpError('MCP 服务的响应被中断')));
+    });
+}
+
+// 发送 HTTP 请求，返回响应流（不读取响应体）
+// connectTimeoutMs：建立连接的超时；timeoutMs：连接后超过这么久没有收到数据（包括读取响应体期间）
+function sendRequest(targetUrl, { method, headers, body, connectTimeoutMs, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        const urlObj = new URL(targetUrl);
+        const protocol = urlObj.protocol === 'https:' ? https : http;
+        // 目标地址检查见 lib/url-guard.js，不允许时抛出 BlockedTargetError
+        let response = null;
+        const req = protocol.request(urlObj, Object.assign({ method, headers }, guardTarget(urlObj)), (res) => {
+            clearTimeout(connectTimer);
+            response = res;
+            resolve(res);
+        });
+        const connectTimer = setTimeout(() => {
+            req.destroy(new McpError(`连接 MCP 服务超时（${connectTimeoutMs}ms）`, { code: 'timeout' }));
+        }, connectTimeoutMs);
+        req.on('socket', socket => {
+            if (!socket.connecting) {
+                clearTimeout(connectTimer);
+            } else {
+                socket.once('connect', () => clearTimeout(connectTimer));
+            }
+        });
+        req.setTimeout(timeoutMs, () => {
+            const error = new McpError(`MCP 服务响应超时（${timeoutMs}ms）`, { code: 'timeout' });
+            // 读取响应体期间超时：让读取方收到超时错误而不是连接中断
+            if (response) response.destroy(error);
+            req.destroy(error);
+        });
+        req.on('error', (error) => {
+            clearTimeout(connectTimer);
+            reject(error);
+        });
+        if (body) req.write(body);
+        req.end();
+    });
+}
+
+function isJsonRpcResponse(message) {
+    return message && message.id !== undefined && message.id !== null && (message.result !== undefined || message.error !== undefined);
+}
+
+// 工具调用结果（CallToolResult）转换为发给模型的文本
+function toolResultText(result) {
+    if (!result || !Array.isArray(result.content)) {
+        return JSON.stringify(result);
+    }
+    if (result.structuredContent !== undefined && result.content.length === 0) {
+        return JSON.stringify(result.structuredContent);
+    }
+    return result.content.map(item => {
+        if (item.type === 'text') return item.text;
+        if (item.type === 'resource' && item.resource) return item.resource.text || item.resource.uri;
+        if (item.type === 'resource_link') return item.uri;
+        return `[${item.type}]`;
+    }).join('\n');
+}
+
+// 创建 MCP 客户端，headers 为附加到每个请求的请求头（如 MCP 服务的 Authorization）
+// limits 见 getMcpLimits()，timeoutMs 默认为其中的读取超时
+function createMcpClient({ url: serverUrl, headers: extraHeaders = {}, limits = getMcpLimits(), timeoutMs = limits.readTimeoutMs, log = logger } = {}) {
+    const { connectTimeoutMs, maxResponseBytes } = limits;
+    let nextId = 0;
+    let transport = null; // 'streamable-http' | 'sse'
+    let sessionId = null;
+    let protocolVersion = null;
+    let initializePromise = null;
+    let closed = false;
+
+    // HTTP + SSE 传输的状态
+    let sseStream = null;
+    let sseEndpoint = null;
+    const pending = new Map();
+
+    const client = {
+        url: serverUrl,
+        serverInfo: null,
+        capabilities: null,
+        instructions: null,
+        get transport() { return transport; },
+        get sessionId() { return sessionId; },
+        initialize,
+        listTools,
+        callTool,
+        close
+    };
+
+    function baseHeaders() {
+        const headers = Object.assign({ 'User-Agent': 'MCP-Proxy/1.0' }, extraHeaders);
+        if (sessionId) headers['Mcp-Session-Id'] = sessionId;
+        if (protocolVersion) headers['MCP-Protocol-Version'] = protocolVersion;
+        return headers;
+    }
+
+    // 处理服务端发来的请求：只支持 ping，其他方法返回 Method not found
+    function answerServerRequest(message) {
+        const reply = message.method === 'ping'
+            ? { jsonrpc: '2.0', id: message.id, result: {} }
+            : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } };
+        postMessage(reply).then(res => res.resume()).catch(e => {
+            log.debug('mcp reply to server request failed', { method: message.method, err: e });
+        });
+    }
+
+    function handleIncoming(message, onResponse) {
+        if (isJsonRpcResponse(message)) {
+            onResponse(message);
+        } else if (message && message.method && message.id !== undefined) {
+            answerServerRequest(message);
+        } else if (message && message.method) {
+            log.debug('mcp notification', { method: message.method });
+        }
+    }
+
+    function postMessage(message) {
+        const body = JSON.stringify(message);
+        const target = transport === 'sse' ? sseEndpoint : serverUrl;
+        return sendRequest(target, {
+            method: 'POST',
+            headers: Object.assign(baseHeaders(), {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json, text/event-stream',
+                'Content-Length': Buffer.byteLength(body)
+            }),
+            body,
+            connectTimeoutMs,
+            timeoutMs
+        });
+    }
+
+    // Streamable HTTP：从 JSON 或 SSE 响应中取出与 id 对应的结果
+    function readStreamableResponse(res, id) {
+        const contentType = (res.headers['content-type'] || '').toLowerCase();
+
+        if (contentType.includes('text/event-stream')) {
+            return new Promise((resolve, reject) => {
+                let settled = false;
+                parseSse(res, ({ data }) => {
+                    let message;
+                    try {
+                        message = JSON.parse(data);
+                    } catch (e) {
+                        return;
+                    }
+                    (Array.isArray(message) ? message : [message]).forEach(item => handleIncoming(item, (response) => {
+                        if (settled || response.id !== id) return;
+                        settled = true;
+                        resolve(response);
+                        res.destroy();
+                    }));
+                }, { maxBytes: maxResponseBytes });
+                res.on('end', () => {
+                    if (!settled) reject(new McpError('MCP 服务关闭了 SSE 流但没有返回结果'));
+                });
+                res.on('error', (e) => {
+                    if (!settled) reject(e);
+                });
+                res.on('close', () => {
+                    if (!settled) reject(new McpError('MCP 服务的响应被中断'));
+                });
+            });
+        }
+
+        return readBody(res, maxResponseBytes).then(text => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (e) {
+                throw new McpError(`MCP 服务返回的不是 JSON: ${text.slice(0, 200)}`);
+            }
+            const messages = Array.isArray(message) ? message : [message];
+            let response = null;
+            messages.forEach(item => handleIncoming(item, (r) => {
+                if (r.id === id) response = r;
+            }));
+            if (!response) {
+                throw new McpError('MCP 服务的响应中没有对应的结果');
+            }
+            return response;
+        });
+    }
+
+    async function streamableRequest(message) {
+        const res = await postMessage(message);
+        // 服务端在 initialize 的响应头中分配会话 ID，之后的请求都要带上
+        if (message.method === 'initialize' && res.headers['mcp-session-id']) {
+            sessionId = res.headers['mcp-session-id'];
+        }
+        if (res.statusCode >= 400) {
+            const text = await readBody(res, maxResponseBytes).catch(() => '');
+            throw new McpError(`MCP 服务返回 HTTP ${res.statusCode}${text ? ': ' + text.slice(0, 200) : ''}`, { status: res.statusCode });
+        }
+        return readStreamableResponse(res, message.id);
+    }
+
+    // HTTP + SSE：建立 SSE 流并等待 endpoint 事件
+    function openSseStream() {
+        return new Promise((resolve, reject) => {
+            sendRequest(serverUrl, {
+                method: 'GET',
+                headers: Object.assign(baseHeaders(), { 'Accept': 'text/event-stream' }),
+                connectTimeoutMs,
+                timeoutMs
+            }).then(res => {
+                const contentType = (res.headers['content-type'] || '').toLowerCase();
+                if (res.statusCode >= 400 || !contentType.includes('text/event-stream')) {
+                    res.resume();
+                    reject(new McpError(`MCP 服务不支持 SSE（HTTP ${res.statusCode}）`, { status: res.statusCode }));
+                    return;
+                }
+                // SSE 流是长连接，建立后取消超时
+                res.socket.setTimeout(0);
+                sseStream = res;
+                parseSse(res, ({ event, data }) => {
+                    if (event === 'endpoint') {
+                        sseEndpoint = new URL(data, serverUrl).toString();
+                        resolve();
+                        return;
+                    }
+                    let message;
+                    try {
+                        message = JSON.parse(data);
+                    } catch (e) {
+                        return;
+                    }
+                    handleIncoming(message, (response) => {
+                        const entry = pending.get(response.id);
+                        if (entry) entry.resolve(response);
+                    });
+                }, { maxEventBytes: maxResponseBytes });
+                res.on('error', (e) => {
+                    log.warn('mcp sse stream error', { url: serverUrl, err: e });
+                });
+                res.on('close', () => {
+                    sseStream = null;
+                    const error = new McpError('MCP 服务的 SSE 连接已断开');
+                    pending.forEach(entry => entry.reject(error));
+                    pending.clear();
+                    if (!sseEndpoint) reject(error);
+                });
+            }, reject);
+        });
+    }
+
+    function sseRequest(message) {
+        return new Promise((resolve, reject) => {
+            if (!sseStream) {
+                reject(new McpError('MCP 服务的 SSE 连接已断开'));
+                return;
+            }
+            const timer = setTimeout(() => {
+                pending.delete(message.id);
+                reject(new McpError(`MCP 服务响应超时（${timeoutMs}ms）`, { code: 'timeout' }));
+            }, timeoutMs);
+            pending.set(message.id, {
+                resolve: (response) => {
+                    clearTimeout(timer);
+                    pending.delete(message.id);
+                    resolve(response);
+                },
+                reject: (error) => {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            });
+            postMessage(message).then(res => {
+                if (res.statusCode >= 400) {
+                    pending.get(message.id)?.reject(new McpError(`MCP 服务返回 HTTP ${res.statusCode}`, { status: res.statusCode }));
+                    pending.delete(message.id);
+                }
+                res.resume();
+            }, (error) => {
+                pending.get(message.id)?.reject(error);
+                pending.delete(message.id);
+            });
+        });
+    }
+
+    async function rawRequest(method, params) {
+        const message = { jsonrpc: '2.0', id: ++nextId, method, params };
+        const endTimer = metrics.mcpClientRequestSeconds.startTimer({ method });
+        let response;
+        try {
+            response = transport === 'sse' ? await sseRequest(message) : await streamableRequest(message);
+        } catch (e) {
+            endTimer({ result: 'error' });
+            throw e;
+        }
+        endTimer({ result: response.error ? 'error' : 'ok' });
+        if (response.error) {
+            throw new McpError(response.error.message || 'MCP 服务返回错误', { code: response.error.code, data: response.error.data });
+        }
+        return response.result;
+    }
+
+    async function notify(method, params) {
+        const message = { jsonrpc: '2.0', method };
+        if (params) message.params = params;
+        const res = await postMessage(message);
+        res.resume();
+    }
+
+    async function handshake() {
+        const params = {
+            protocolVersion: PROTOCOL_VERSION,
+            capabilities: {},
+            clientInfo: CLIENT_INFO
+        };
+
+        let result;
+        transport = 'streamable-http';
+        try {
+            result = await rawRequest('initialize', params);
+        } catch (e) {
+            // 鉴权失败时换传输方式也不会成功
+            if (!(e instanceof McpError) || ![400, 404, 405].includes(e.status)) throw e;
+            log.debug('mcp streamable http rejected, falling back to sse', { url: serverUrl, status: e.status });
+            transport = 'sse';
+            await openSseStream();
+            result = await rawRequest('initialize', params);
+        }
+
+        protocolVersion = result.protocolVersion || PROTOCOL_VERSION;
+        client.serverInfo = result.serverInfo || null;
+        client.capabilities = result.capabilities || {};
+        client.instructions = result.instructions || null;
+        await notify('notifications/initialized');
+        log.info('mcp session initialized', {
+            url: serverUrl,
+            transport,
+            protocol_version: protocolVersion,
+            server: client.serverInfo && client.serverInfo.name
+        });
+        return result;
+    }
+
+    // 只会握手一次，失败后下次调用重新握手
+    function initialize() {
+        if (closed) return Promise.reject(new McpError('MCP 客户端已关闭'));
+        if (!initializePromise) {
+            initializePromise = handshake().catch(e => {
+                initializePromise = null;
+                resetSession();
+                throw e;
+            });
+        }
+        return initializePromise;
+    }
+
+    function resetSession() {
+        sessionId = null;
+        protocolVersion = null;
+        if (sseStream) sseStream.destroy();
+        sseStream = null;
+        sseEndpoint = null;
+    }
+
+    // 会话过期（Streamable HTTP 返回 404）时重新握手并重试一次
+    async function request(method, params) {
+        await initialize();
+        try {
+            return await rawRequest(method, params);
+        } catch (e) {
+            if (!(e instanceof McpError) || e.status !== 404 || !sessionId) throw e;
+            log.info('mcp session expired, reinitializing', { url: serverUrl });
+            initializePromise = null;
+            resetSession();
+            await initialize();
+            return rawRequest(method, params);
+        }
+    }
+
+    // 按 nextCursor 翻页获取全部工具
+    async function listTools() {
+        const tools = [];
+        let cursor;
+        for (let page = 0; page < MAX_TOOL_PAGES; page++) {
+            const result = await request('tools/list', cursor ? { cursor } : {});
+            tools.push(...(result.tools || []));
+            cursor = result.nextCursor;
+            if (!cursor) return tools;
+        }
+        log.warn('mcp tools/list page limit reached', { url: serverUrl, pages: MAX_TOOL_PAGES });
+        return tools;
+    }
+
+    function callTool(name, args = {}) {
+        return request('tools/call', { name, arguments: args });
+    }
+
+    // 结束会话：Streamable HTTP 发送 DELETE，HTTP + SSE 断开 SSE 流
+    function close() {
+        if (closed) return;
+        closed = true;
+        if (transport === 'streamable-http' && sessionId) {
+            sendRequest(serverUrl, { method: 'DELETE', headers: baseHeaders(), connectTimeoutMs, timeoutMs })
+                .then(res => res.resume())
+                .catch(() => {});
+        }
+        resetSession();
+    }
+
+    return client;
+}
+
+// 按用户和 URL 复用的客户端连接池，避免每次调用工具都重新握手
+function createMcpClientPool({ idleTimeoutMs = IDLE_TIMEOUT_MS, create = createMcpClient } = {}) {
+    const entries = new Map();
+
+    function sweep() {
+        const now = Date.now();
+        entries.forEach((entry, key) => {
+            if (now - entry.lastUsed > idleTimeoutMs) {
+                entry.client.close();
+                entries.delete(key);
+            }
+        });
+    }
+
+    const timer = setInterval(sweep, Math.min(idleTimeoutMs, 60000));
+    timer.unref();
+
+    function get(key, options) {
+        let entry = entries.get(key);
+        if (!entry) {
+            entry = { client: create(options), lastUsed: Date.now() };
+            entries.set(key, entry);
+        }
+        entry.lastUsed = Date.now();
+        return entry.client;
+    }
+
+    // 握手失败或连接出错后丢弃，下次重新创建
+    function discard(key) {
+        const entry = entries.get(key);
+        if (entry) {
+            entry.client.close();
+            entries.delete(key);
+        }
+    }
+
+    function closeAll() {
+        clearInterval(timer);
+        entries.forEach(entry => entry.client.close());
+        entries.clear();
+    }
+
+    return { get, discard, closeAll };
+}
+
+// /api/mcp/* 接口和代理端工具执行（lib/tool-runner.js）共用的连接池
+const mcpClients = createMcpClientPool();
+
+// 协议和传输相关的请求头由客户端自己设置，不允许覆盖
+const RESERVED_HEADERS = ['host', 'connection', 'content-length', 'content-type', 'accept', 'transfer-encoding', 'mcp-session-id', 'mcp-protocol-version'];
+
+// 检查用户为 MCP 服务配置的附加请求头（如 Authorization），无效时抛出 McpError
+function sanitizeHeaders(headers) {
+    if (headers === undefined || headers === null) return {};
+    if (typeof headers !== 'object' || Array.isArray(headers)) {
+        throw new McpError('headers 必须是对象');
+    }
+    const result = {};
+    Object.entries(headers).forEach(([name, value]) => {
+        if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(name) || RESERVED_HEADERS.includes(name.toLowerCase())) {
+            throw new McpError(`不允许的请求头: ${name}`);
+        }
+        if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+            throw new McpError(`请求头 ${name} 的值无效`);
+        }
+        result[name] = value;
+    });
+    return result;
+}
+
+// 连接池的键：每个用户对每个 MCP 服务（URL 和附加请求头）一个会话，请求头只保留摘要
+function mcpClientKey(user, serverUrl, headers = {}) {
+    const key = `${user ? user.id : 'anonymous'} ${serverUrl}`;
+    const entries = Object.entries(headers).sort(([a], [b]) => a.localeCompare(b));
+    if (entries.length === 0) return key;
+    return key + ' ' + crypto.createHash('sha256').update(JSON.stringify(entries)).digest('hex').slice(0, 16);
+}
+
+// MCP 服务正常返回的 JSON-RPC 错误，会话仍然可用；其他错误（网络、HTTP 状态、超时）应丢弃会话
+function isRpcError(error) {
+    return error instanceof McpError && error.code !== null && error.code !== 'timeout';
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    McpError,
+    getMcpLimits,
+    createMcpClient,
+    createMcpClientPool,
+    mcpClients,
+    mcpClientKey,
+    sanitizeHeaders,
+    isRpcError,
+    toolResultText
+};
@@ -0,0 +1,230 @@
+// MCP 服务 HTTP 代理，浏览器通过它访问 MCP 服务以避免 CORS 问题
+//
+//   POST /api/mcp/tools  { url, headers }                    代理作为 MCP 客户端握手并获取全部工具，返回 { server, instructions, tools }
+//   POST /api/mcp/call   { url, headers, name, arguments }   调用工具，返回 { output, is_error, result }
+//                        headers 为可选的附加请求头（如 MCP 服务的 Authorization）
+//   /api/mcp-proxy       { url, data }               原样转发请求（旧接口），状态码和内容类型与 MCP 服务的响应一致
+//
+// 所有接口的目标地址都经过 lib/url-guard.js 检查（MCP_ALLOWED_HOSTS 白名单，默认禁止内网地址）
+
+const http = require('http');
+const https = require('https');
+const url = require('url');
+const { corsHeaders, sendJson, HttpError, readBody, parseJsonObject, readJsonBody } = require('./http-utils');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+const { getMcpLimits, mcpClients, mcpClientKey, sanitizeHeaders, isRpcError, toolResultText } = require('./mcp-client');
+const { BlockedTargetError, guardTarget } = require('./url-guard');
+
+// 原样转发给浏览器的响应头
+const PASSTHROUGH_HEADERS = ['content-type', 'content-length', 'cache-control'];
+
+async function handleMcpProxy(req, res) {
+    const log = req.log || logger;
+    const endTimer = metrics.mcpRequestSeconds.startTimer();
+    res.on('close', () => {
+        const seconds = endTimer({ status: String(res.statusCode) });
+        log.info('mcp proxy response', { status: res.statusCode, duration_ms: Math.round(seconds * 1000) });
+    });
+    const limits = getMcpLimits();
+
+    // 从请求中获取 MCP 服务 URL
+    let mcpUrl;
+    let requestData;
+    try {
+        const body = await readBody(req, limits.maxBodyBytes);
+        if (body) {
+            const request = parseJsonObject(body);
+            mcpUrl = request.url;
+            requestData = request.data;
+        } else {
+            // GET 请求可能没有 body
+            const query = url.parse(req.url, true).query;
+            mcpUrl = query.url;
+        }
+    } catch (e) {
+        sendJson(res, e instanceof HttpError ? e.status : 400, {
+            error: e instanceof HttpError ? e.message : 'Invalid request format: ' + e.message
+        });
+        return;
+    }
+
+    if (typeof mcpUrl !== 'string' || !mcpUrl) {
+        sendJson(res, 400, { error: 'MCP URL is required' });
+        return;
+    }
+
+    let urlObj;
+    try {
+        urlObj = new URL(mcpUrl);
+    } catch (error) {
+        log.warn('mcp proxy invalid url', { url: mcpUrl, err: error });
+        sendJson(res, 400, { error: 'Invalid URL: ' + error.message });
+        return;
+    }
+
+    // 白名单和内网地址检查（见 lib/url-guard.js），主机名解析出的地址在连接时检查
+    let guardOptions;
+    try {
+        guardOptions = guardTarget(urlObj);
+    } catch (error) {
+        log.warn('mcp proxy target blocked', { url: mcpUrl, reason: error.message });
+        sendJson(res, error.status, { error: error.message });
+        return;
+    }
+
+    log.debug('mcp proxy request', { url: mcpUrl, method: requestData ? 'POST' : 'GET' });
+
+    // 转发请求到 MCP 服务
+    const requestBody = requestData ? JSON.stringify(requestData) : null;
+    const protocol = urlObj.protocol === 'https:' ? https : http;
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'MCP-Proxy/1.0'
+    };
+    if (requestBody) {
+        headers['Content-Length'] = Buffer.byteLength(requestBody);
+    }
+
+    const proxyReq = protocol.request(urlObj, Object.assign({ method: requestBody ? 'POST' : 'GET', headers }, guardOptions), (proxyRes) => {
+        clearTimeout(connectTimer);
+        const declaredLength = Number(proxyRes.headers['content-length']);
+        if (declaredLength > limits.maxResponseBytes) {
+            proxyReq.destroy(new HttpError(502, `MCP response too large (max ${limits.maxResponseBytes} bytes)`));
+            return;
+        }
+
+        // 状态码和内容类型原样转发，响应体边收边发（支持 SSE）
+        const responseHeaders = corsHeaders(req);
+        PASSTHROUGH_HEADERS.forEach(name => {
+            if (proxyRes.headers[name] !== undefined) responseHeaders[name] = proxyRes.headers[name];
+        });
+        res.writeHead(proxyRes.statusCode, responseHeaders);
+
+        let received = 0;
+        proxyRes.on('data', chunk => {
+            received += chunk.length;
+            if (received > limits.maxResponseBytes) {
+                // 响应头已经发出，只能中断连接
+                log.warn('mcp proxy response too large', { url: mcpUrl, max_bytes: limits.maxResponseBytes });
+                proxyReq.destroy();
+                res.destroy();
+                return;
+            }
+            res.write(chunk);
+        });
+        proxyRes.on('end', () => res.end());
+        proxyRes.on('error', () => res.destroy());
+    });
+
+    // 连接超时：建立 TCP 连接前；读取超时：连接后超过一段时间没有收到数据
+    const connectTimer = setTimeout(() => {
+        proxyReq.destroy(new HttpError(504, `MCP server connect timeout (${limits.connectTimeoutMs}ms)`));
+    }, limits.connectTimeoutMs);
+    proxyReq.on('socket', socket => {
+        if (!socket.connecting) {
+            clearTimeout(connectTimer);
+        } else {
+            socket.once('connect', () => clearTimeout(connectTimer));
+        }
+    });
+    proxyReq.setTimeout(limits.readTimeoutMs, () => {
+        proxyReq.destroy(new HttpError(504, `MCP server read timeout (${limits.readTimeoutMs}ms)`));
+    });
+
+    proxyReq.on('error', (error) => {
+        clearTimeout(connectTimer);
+        log.warn('mcp proxy upstream error', { url: mcpUrl, err: error });
+        if (res.headersSent) {
+            res.destroy();
+            return;
+        }
+        sendJson(res, error.status || 502, { error: error.message });
+    });
+
+    // 浏览器提前断开时不再读取上游
+    res.on('close', () => {
+        if (!res.writableFinished) proxyReq.destroy();
+    });
+
+    if (requestBody) {
+        proxyReq.write(requestBody);
+    }
+    proxyReq.end();
+}
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (e) {
+        return false;
+    }
+}
+
+// MCP 服务的工具定义和工具调用，见文件开头的说明
+async function handleMcpApi(req, res) {
+    const log = req.log || logger;
+    const action = url.parse(req.url).pathname.replace(/^\/api\/mcp\//, '');
+    if (action !== 'tools' && action !== 'call') {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+    if (req.method !== 'POST') {
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    let request;
+    try {
+        request = await readJsonBody(req, getMcpLimits().maxBodyBytes);
+    } catch (e) {
+        sendJson(res, e instanceof HttpError ? e.status : 400, {
+            error: e instanceof HttpError ? e.message : 'Invalid request format: ' + e.message
+        });
+        return;
+    }
+    if (!isHttpUrl(request.url)) {
+        sendJson(res, 400, { error: 'MCP URL is required' });
+        return;
+    }
+    if (action === 'call' && (typeof request.name !== 'string' || !request.name)) {
+        sendJson(res, 400, { error: 'Tool name is required' });
+        return;
+    }
+    let headers;
+    try {
+        headers = sanitizeHeaders(request.headers);
+    } catch (e) {
+        sendJson(res, 400, { error: e.message });
+        return;
+    }
+
+    const key = mcpClientKey(req.user, request.url, headers);
+    const client = mcpClients.get(key, { url: request.url, headers, log });
+    try {
+        if (action === 'tools') {
+            const tools = await client.listTools();
+            log.info('mcp tools listed', { url: request.url, count: tools.length });
+            sendJson(res, 200, { server: client.serverInfo, instructions: client.instructions, tools });
+            return;
+        }
+
+        const args = request.arguments && typeof request.arguments === 'object' ? request.arguments : {};
+        const result = await client.callTool(request.name, args);
+        log.info('mcp tool called', { url: request.url, tool: request.name, is_error: !!result.isError });
+        sendJson(res, 200, { output: toolResultText(result), is_error: !!result.isError, result });
+    } catch (e) {
+        // JSON-RPC 错误不影响会话；其他错误丢弃会话，下次重新握手
+        const rpcError = isRpcError(e);
+        if (!rpcError) {
+            mcpClients.discard(key);
+        }
+        log.warn('mcp request failed', { url: request.url, action, tool: request.name, err: e });
+        sendJson(res, e instanceof BlockedTargetError ? 403 : 502, { error: e.message, code: rpcError ? e.code : undefined });
+    }
+}
+
+module.exports = {
+    handleMcpProxy,
+    handleMcpApi
+};
@@ -0,0 +1,209 @@
+// Prometheus 指标，由 GET /metrics 以文本格式输出
+// 只实现了用到的计数器、仪表和直方图，不依赖第三方库
+//
+// 设置 METRICS_TOKEN 后抓取时需要带上 Authorization: Bearer <METRICS_TOKEN>；未设置时按代理的认证配置，
+// 启用认证时需要管理员令牌（lib/server.js 中检查），未启用认证时不需要
+
+const crypto = require('crypto');
+const { getToken } = require('./auth');
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// 标签值来自客户端消息时限制取值，避免恶意客户端制造大量时间序列
+function safeLabel(value) {
+    const text = String(value);
+    return /^[A-Za-z0-9_.:-]{1,64}$/.test(text) ? text : 'other';
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels) {
+    return labelNames.map(name => labels[name] === undefined ? '' : String(labels[name])).join('\u0000');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+    const parts = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+    if (extra) parts.push(extra);
+    return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+function createRegistry() {
+    const metrics = [];
+
+    function register(type, name, help, labelNames, extra = {}) {
+        const metric = Object.assign({ type, name, help, labelNames, series: new Map() }, extra);
+        metrics.push(metric);
+        return metric;
+    }
+
+    function getSeries(metric, labels, init) {
+        const key = labelKey(metric.labelNames, labels);
+        if (!metric.series.has(key)) {
+            metric.series.set(key, { values: metric.labelNames.map(n => labels[n] === undefined ? '' : labels[n]), data: init() });
+        }
+        return metric.series.get(key).data;
+    }
+
+    function counter(name, help, labelNames = []) {
+        const metric = register('counter', name, help, labelNames);
+        return {
+            inc(labels = {}, value = 1) {
+                getSeries(metric, labels, () => ({ value: 0 })).value += value;
+            }
+        };
+    }
+
+    function gauge(name, help, labelNames = []) {
+        const metric = register('gauge', name, help, labelNames);
+        return {
+            inc(labels = {}, value = 1) {
+                getSeries(metric, labels, () => ({ value: 0 })).value += value;
+            },
+            dec(labels = {}, value = 1) {
+                getSeries(metric, labels, () => ({ value: 0 })).value -= value;
+            }
+        };
+    }
+
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const metric = register('histogram', name, help, labelNames, { buckets });
+        return {
+            observe(labels, seconds) {
+                const data = getSeries(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+                buckets.forEach((bound, i) => {
+                    if (seconds <= bound) data.counts[i]++;
+                });
+                data.sum += seconds;
+                data.count++;
+            },
+            // 返回结束计时的函数，调用时记录经过的秒数
+            startTimer(labels = {}) {
+                const start = process.hrtime.bigint();
+                return (extraLabels = {}) => {
+                    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+                    this.observe(Object.assign({}, labels, extraLabels), seconds);
+                    return seconds;
+                };
+            }
+        };
+    }
+
+    function render() {
+        const lines = [];
+        metrics.forEach(metric => {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            metric.series.forEach(({ values, data }) => {
+                if (metric.type !== 'histogram') {
+                    lines.push(`${metric.name}${formatLabels(metric.labelNames, values)} ${data.value}`);
+                    return;
+                }
+                metric.buckets.forEach((bound, i) => {
+                    lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, values, `le="${bound}"`)} ${data.counts[i]}`);
+                });
+                lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, values, 'le="+Inf"')} ${data.count}`);
+                lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, values)} ${data.sum}`);
+                lines.push(`${metric.name}_count${formatLabels(metric.labelNames, values)} ${data.count}`);
+            });
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    return { counter, gauge, histogram, render };
+}
+
+const registry = createRegistry();
+
+const metrics = {
+    activeSessions: registry.gauge(
+        'realtime_active_sessions',
+        '当前活动的客户端会话数',
+        ['provider']
+    ),
+    sessionsTotal: registry.counter(
+        'realtime_sessions_total',
+        '客户端会话总数',
+        ['provider']
+    ),
+    upstreamConnectSeconds: registry.histogram(
+        'realtime_upstream_connect_seconds',
+        '连接上游服务的耗时（秒）',
+        ['provider', 'result']
+    ),
+    upstreamReconnects: registry.counter(
+        'realtime_upstream_reconnects_total',
+        '上游断开后的重连次数',
+        ['provider']
+    ),
+    frames: registry.counter(
+        'realtime_frames_total',
+        '按方向和事件类型统计的帧数，direction 为 client（客户端发出）或 upstream（上游发出）',
+        ['provider', 'direction', 'type']
+    ),
+    closes: registry.counter(
+        'realtime_close_total',
+        '按关闭码统计的连接关闭次数，side 为 client 或 upstream',
+        ['provider', 'side', 'code']
+    ),
+    authRejections: registry.counter(
+        'realtime_auth_rejections_total',
+        '认证或授权失败次数',
+        ['status']
+    ),
+    mcpRequestSeconds: registry.histogram(
+        'mcp_proxy_request_seconds',
+        'MCP 代理请求耗时（秒）',
+        ['status']
+    ),
+    mcpClientRequestSeconds: registry.histogram(
+        'mcp_client_request_seconds',
+        '代理作为 MCP 客户端发出的 JSON-RPC 请求耗时（秒），method 为 initialize、tools/list、tools/call 等',
+        ['method', 'result']
+    ),
+    toolCallSeconds: registry.histogram(
+        'tool_call_seconds',
+        '代理端执行工具调用的耗时（秒，含重试），source 为 local 或 mcp，result 为 ok、error 或 timeout',
+        ['source', 'result']
+    )
+};
+
+function countFrame(provider, direction, type) {
+    metrics.frames.inc({ provider, direction, type: safeLabel(type) });
+}
+
+function isMetricsTokenValid(req) {
+    const expected = process.env.METRICS_TOKEN;
+    if (!expected) return true;
+    const token = getToken(req);
+    if (!token) return false;
+    const a = Buffer.from(token);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// GET /metrics
+function handleMetricsRequest(req, res) {
+    if (req.method !== 'GET') {
+        res.writeHead(405, { 'Allow': 'GET' });
+        res.end('Method not allowed');
+        return;
+    }
+    if (!isMetricsTokenValid(req)) {
+        res.writeHead(401, { 'WWW-Authenticate': 'Bearer' });
+        res.end('Unauthorized');
+        return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(registry.render());
+}
+
+module.exports = {
+    createRegistry,
+    registry,
+    metrics,
+    countFrame,
+    safeLabel,
+    handleMetricsRequest
+};
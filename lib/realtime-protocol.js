@@ -0,0 +1,133 @@
+// 服务商无关的客户端事件协议（协议说明见 PROTOCOL.md）
+// TranslatedSocket 包装浏览器 WebSocket，对服务商适配器表现为原来的 clientWs：
+//   客户端发来的通用事件经翻译器转换为适配器原有的消息格式
+//   适配器发给客户端的消息经翻译器转换为通用事件
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+// 客户端 → 代理
+const CLIENT_EVENTS = {
+    SESSION_START: 'session.start',
+    SESSION_END: 'session.end',
+    INPUT_AUDIO_APPEND: 'input_audio.append',
+    INPUT_AUDIO_COMMIT: 'input_audio.commit',
+    INPUT_TEXT: 'input_text',
+    RESPONSE_CREATE: 'response.create',
+    RESPONSE_CANCEL: 'response.cancel',
+    ITEM_TRUNCATE: 'item.truncate',
+    TOOL_RESULT: 'tool.result',
+    TOOLS_CONFIGURE: 'tools.configure',
+    TOOL_DECISION: 'tool.decision'
+};
+
+// 代理 → 客户端
+const SERVER_EVENTS = {
+    SESSION_STARTED: 'session.started',
+    SESSION_RECONNECTING: 'session.reconnecting',
+    SESSION_RECONNECTED: 'session.reconnected',
+    SPEECH_STARTED: 'speech.started',
+    SPEECH_STOPPED: 'speech.stopped',
+    TRANSCRIPT_USER: 'transcript.user',
+    RESPONSE_STARTED: 'response.started',
+    RESPONSE_TEXT_DELTA: 'response.text.delta',
+    RESPONSE_TEXT_DONE: 'response.text.done',
+    RESPONSE_AUDIO_DELTA: 'response.audio.delta',
+    RESPONSE_DONE: 'response.done',
+    TOOL_CALL: 'tool.call',
+    TOOLS_CONFIGURED: 'tools.configured',
+    TOOL_CONFIRM: 'tool.confirm',
+    TOOL_STARTED: 'tool.started',
+    TOOL_COMPLETED: 'tool.completed',
+    ERROR: 'error'
+};
+
+// 音频字段可以是 base64 字符串，也可以是二进制帧转换来的 Buffer
+function toAudioBuffer(audio) {
+    if (Buffer.isBuffer(audio)) return audio;
+    if (typeof audio === 'string') return Buffer.from(audio, 'base64');
+    return Buffer.alloc(0);
+}
+
+function toAudioBase64(audio) {
+    return Buffer.isBuffer(audio) ? audio.toString('base64') : (audio || '');
+}
+
+class TranslatedSocket extends EventEmitter {
+    constructor(clientWs, createTranslator) {
+        super();
+        this.clientWs = clientWs;
+        this.translator = createTranslator({
+            sendToClient: (event) => this.sendEvent(event)
+        });
+
+        clientWs.on('message', (data, isBinary) => this.handleClientMessage(data, isBinary));
+        clientWs.on('close', (code, reason) => this.emit('close', code, reason));
+        clientWs.on('error', (error) => this.emit('error', error));
+    }
+
+    get readyState() {
+        return this.clientWs.readyState;
+    }
+
+    // 适配器发给客户端的消息：字符串或 binary: false 为 JSON 文本，其余为音频
+    send(data, options = {}) {
+        const isBinary = options.binary !== undefined ? !!options.binary : typeof data !== 'string';
+        const events = this.translator.fromProvider(data, isBinary);
+        events.forEach(event => this.sendEvent(event));
+    }
+
+    close(code, reason) {
+        this.clientWs.close(code, reason);
+    }
+
+    sendEvent(event) {
+        if (this.clientWs.readyState === WebSocket.OPEN) {
+            this.clientWs.send(JSON.stringify(event));
+        }
+    }
+
+    handleClientMessage(data, isBinary) {
+        let event;
+        if (isBinary) {
+            // 二进制帧等同于 input_audio.append
+            event = { type: CLIENT_EVENTS.INPUT_AUDIO_APPEND, audio: Buffer.from(data) };
+        } else {
+            try {
+                event = JSON.parse(data.toString());
+            } catch (e) {
+                this.sendEvent({ type: SERVER_EVENTS.ERROR, code: 'invalid_event', message: '消息不是有效的 JSON: ' + e.message });
+                return;
+            }
+            if (!event || typeof event.type !== 'string') {
+                this.sendEvent({ type: SERVER_EVENTS.ERROR, code: 'invalid_event', message: '缺少 type 字段' });
+                return;
+            }
+        }
+
+        const frames = this.translator.toProvider(event);
+        frames.forEach(frame => {
+            const payload = frame.isBinary ? frame.data : Buffer.from(JSON.stringify(frame.data));
+            this.emit('message', payload, !!frame.isBinary);
+        });
+    }
+}
+
+// 翻译器不支持的事件统一回复 unsupported_event 错误
+function unsupportedEvent(sendToClient, provider, event) {
+    sendToClient({
+        type: SERVER_EVENTS.ERROR,
+        code: 'unsupported_event',
+        message: `${provider} 不支持事件 ${event.type}`
+    });
+    return [];
+}
+
+module.exports = {
+    CLIENT_EVENTS,
+    SERVER_EVENTS,
+    TranslatedSocket,
+    toAudioBuffer,
+    toAudioBase64,
+    unsupportedEvent
+};
@@ -0,0 +1,337 @@
+// 统一代理服务器
+// 在同一个 HTTP 服务器上挂载多个服务商的 WebSocket 代理，并提供前端页面和 MCP 代理
+
+const crypto = require('crypto');
+const http = require('http');
+const WebSocket = require('ws');
+const url = require('url');
+const fs = require('fs');
+const path = require('path');
+const { getProvider, listProviders } = require('../providers');
+const { handlePreflight, sendJson } = require('./http-utils');
+const { AuthError, createAuthFromEnv } = require('./auth');
+const { createUsageStoreFromEnv, meterConnection, handleUsageReport } = require('./usage');
+const { handleMcpProxy, handleMcpApi } = require('./mcp-proxy');
+const { registerBuiltinTools, handleToolsApi } = require('./local-tools');
+const { TranslatedSocket } = require('./realtime-protocol');
+const { logger } = require('./logger');
+const { metrics, handleMetricsRequest } = require('./metrics');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// 前端页面共用的脚本，放在 web/ 目录下，不需要认证
+const WEB_SCRIPT_PATTERN = /^\/web\/[\w.-]+\.js$/;
+
+// 解析服务商挂载配置，挂载路径可通过 <NAME>_PATH 环境变量覆盖（如 GLM_PATH=/glm）
+// 支持通用协议的服务商另外挂载在 <REALTIME_PATH>/<name>（默认 /realtime/glm）
+function resolveMounts(names, env = process.env) {
+    const realtimePrefix = env.REALTIME_PATH || '/realtime';
+    return names.map(name => {
+        const provider = getProvider(name);
+        if (!provider) {
+            throw new Error(`未知的服务商: ${name}（可用: ${listProviders().map(p => p.name).join(', ')}）`);
+        }
+        return {
+            provider,
+            path: env[`${name.toUpperCase()}_PATH`] || provider.path,
+            realtimePath: provider.createTranslator ? `${realtimePrefix}/${name}` : null
+        };
+    });
+}
+
+function serveFile(res, fileName, contentType = 'text/html') {
+    fs.readFile(path.join(ROOT_DIR, fileName), (err, data) => {
+        if (err) {
+            res.writeHead(err.code === 'ENOENT' ? 404 : 500);
+            res.end(err.code === 'ENOENT' ? 'Not Found' : `Error loading ${fileName}`);
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': contentType });
+        res.end(data);
+    });
+}
+
+// 认证通过后从 URL 中去掉令牌，避免出现在日志和录制文件中
+function stripToken(reqUrl) {
+    const parsed = url.parse(reqUrl, true);
+    if (parsed.query.token === undefined) return reqUrl;
+    delete parsed.query.token;
+    delete parsed.search;
+    return url.format(parsed);
+}
+
+// 调用 HTTP 接口处理函数（可能是 async），处理函数抛出的异常记录日志并返回 500，不让未处理的 rejection 结束进程
+function runHandler(handler, req, res, ...args) {
+    Promise.resolve()
+        .then(() => handler(req, res, ...args))
+        .catch(err => {
+            (req.log || logger).error('request handler failed', { path: url.parse(req.url).pathname, err });
+            if (!res.headersSent) {
+                sendJson(res, 500, { error: 'Internal server error' });
+            } else {
+                res.destroy();
+            }
+        });
+}
+
+// 记录会话开始和结束，更新活动会话数和客户端关闭码统计
+function trackSession(clientWs, req, provider) {
+    const startedAt = Date.now();
+    metrics.activeSessions.inc({ provider: provider.name });
+    metrics.sessionsTotal.inc({ provider: provider.name });
+    req.log.info('client connected', { path: url.parse(req.url).pathname });
+
+    clientWs.on('close', (code, reason) => {
+        metrics.activeSessions.dec({ provider: provider.name });
+        metrics.closes.inc({ provider: provider.name, side: 'client', code: String(code) });
+        req.log.info('client disconnected', {
+            code,
+            reason: reason ? reason.toString() : '',
+            duration_ms: Date.now() - startedAt
+        });
+    });
+}
+
+// 创建 HTTP 服务器（不监听端口）
+// auth 为 lib/auth.js 创建的认证器，usage 为 lib/usage.js 创建的用量存储，默认都根据环境变量创建
+function createServer(mounts, { auth = createAuthFromEnv(), usage = createUsageStoreFromEnv() } = {}) {
+    const server = http.createServer();
+    const routes = new Map();
+
+    function addRoute(mountPath, provider, onConnection) {
+        if (routes.has(mountPath)) {
+            throw new Error(`挂载路径冲突: ${mountPath}`);
+        }
+        const wss = new WebSocket.Server({ noServer: true });
+        wss.on('connection', onConnection);
+        routes.set(mountPath, { provider, wss });
+    }
+
+    mounts.forEach(({ provider, path: mountPath, realtimePath }) => {
+        // 服务商原有协议
+        addRoute(mountPath, provider, (clientWs, req) => {
+            trackSession(clientWs, req, provider);
+            if (!meterConnection(clientWs, req, { provider, store: usage })) return;
+            provider.handleConnection(clientWs, req);
+        });
+        // 通用客户端协议，经翻译后交给同一个适配器处理
+        if (realtimePath) {
+            addRoute(realtimePath, provider, (clientWs, req) => {
+                const socket = new TranslatedSocket(clientWs, provider.createTranslator);
+                trackSession(socket, req, provider);
+                if (!meterConnection(socket, req, { provider, store: usage })) return;
+                provider.handleConnection(socket, req);
+            });
+        }
+    });
+
+    const pages = mounts.map(({ provider }) => provider.page).filter(Boolean);
+
+    // 按路径把 WebSocket 升级请求分发到对应服务商
+    server.on('upgrade', (req, socket, head) => {
+        const pathname = url.parse(req.url).pathname;
+        const route = routes.get(pathname);
+        if (!route) {
+            socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+        // 每个连接一个 ID，写入该连接的所有日志，豆包还用它作为 X-Api-Connect-Id
+        req.connId = crypto.randomUUID();
+        req.log = logger.child({ conn: req.connId, provider: route.provider.name });
+
+        // 先完成握手再以 4401/4403 关闭，浏览器才能拿到具体的关闭码和原因
+        route.wss.handleUpgrade(req, socket, head, (ws) => {
+            try {
+                req.user = auth.authorize(req, route.provider.name);
+            } catch (e) {
+                if (!(e instanceof AuthError)) throw e;
+                metrics.authRejections.inc({ status: String(e.status) });
+                req.log.warn('connection rejected', { path: pathname, status: e.status, reason: e.message });
+                ws.close(e.closeCode, e.message);
+                return;
+            }
+            req.url = stripToken(req.url);
+            req.log = req.log.child({ user: req.user.id });
+            route.wss.emit('connection', ws, req);
+        });
+    });
+
+    server.on('request', (req, res) => {
+        const pathname = url.parse(req.url).pathname;
+
+        // 处理 CORS 预检请求
+        if (req.method === 'OPTIONS') {
+            handlePreflight(req, res);
+            return;
+        }
+
+        // 代理 MCP 服务请求
+        if (pathname === '/api/mcp-proxy' || pathname.startsWith('/api/mcp/')) {
+            try {
+                req.user = auth.authorize(req, 'mcp');
+            } catch (e) {
+                if (!(e instanceof AuthError)) throw e;
+                metrics.authRejections.inc({ status: String(e.status) });
+                sendJson(res, e.status, { error: e.message });
+                return;
+            }
+            req.log = logger.child({ user: req.user.id });
+            if (pathname === '/api/mcp-proxy') {
+                runHandler(handleMcpProxy, req, res);
+            } else {
+                runHandler(handleMcpApi, req, res);
+            }
+            return;
+        }
+
+        // 内置工具
+        if (pathname === '/api/tools' || pathname.startsWith('/api/tools/')) {
+            try {
+                req.user = auth.authorize(req, 'tools');
+            } catch (e) {
+                if (!(e instanceof AuthError)) throw e;
+                metrics.authRejections.inc({ status: String(e.status) });
+                sendJson(res, e.status, { error: e.message });
+                return;
+            }
+            req.log = logger.child({ user: req.user.id });
+            runHandler(handleToolsApi, req, res);
+            return;
+        }
+
+        // 用量报表
+        if (pathname === '/api/usage') {
+            let user;
+            try {
+                user = auth.authorize(req, 'usage');
+            } catch (e) {
+                if (!(e instanceof AuthError)) throw e;
+                metrics.authRejections.inc({ status: String(e.status) });
+                sendJson(res, e.status, { error: e.message });
+                return;
+            }
+            runHandler(handleUsageReport, req, res, { store: usage, user });
+            return;
+        }
+
+        // Prometheus 指标：设置了 METRICS_TOKEN 时由 handleMetricsRequest 检查该令牌，否则启用认证时需要管理员令牌
+        if (pathname === '/metrics') {
+            if (!process.env.METRICS_TOKEN) {
+                try {
+                    auth.authorize(req, 'metrics');
+                } catch (e) {
+                    if (!(e instanceof AuthError)) throw e;
+                    metrics.authRejections.inc({ status: String(e.status) });
+                    sendJson(res, e.status, { error: e.message });
+                    return;
+                }
+            }
+            runHandler(handleMetricsRequest, req, res);
+            return;
+        }
+
+        // 根路径重定向到第一个服务商的页面
+        if (pathname === '/' && pages.length > 0) {
+            res.writeHead(302, { 'Location': '/' + pages[0] });
+            res.end();
+            return;
+        }
+
+        const page = pages.find(p => pathname === '/' + p);
+        if (page) {
+            serveFile(res, page);
+            return;
+        }
+
+        if (WEB_SCRIPT_PATTERN.test(pathname)) {
+            serveFile(res, pathname.slice(1), 'application/javascript; charset=utf-8');
+            return;
+        }
+
+        // WebSocket 路径只接受升级请求
+        if (routes.has(pathname)) {
+            res.writeHead(426, { 'Upgrade': 'websocket' });
+            res.end('Upgrade Required');
+            return;
+        }
+
+        res.writeHead(404);
+        res.end('Not Found');
+    });
+
+    return server;
+}
+
+// 检查配置并启动服务器
+// strict 为 true 时任一服务商配置错误即退出，否则跳过该服务商
+function startServer({ port, providers: names, strict = false }) {
+    const mounts = resolveMounts(names).filter(({ provider }) => {
+        const errors = provider.checkConfig();
+        if (errors.length === 0) {
+            logger.info('provider configured', { provider: provider.name, config: provider.describeConfig() });
+            return true;
+        }
+        if (strict) {
+            logger.error('provider config incomplete', { provider: provider.name, errors });
+            process.exit(1);
+        }
+        logger.warn('provider skipped', { provider: provider.name, errors });
+        return false;
+    });
+
+    if (mounts.length === 0) {
+        logger.error('no provider available, check .env');
+        process.exit(1);
+    }
+
+    let auth;
+    try {
+        auth = createAuthFromEnv();
+    } catch (e) {
+        logger.error('invalid auth config', { err: e });
+        process.exit(1);
+    }
+    if (auth.enabled) {
+        logger.info('auth enabled', { strategies: auth.describe() });
+        if (!process.env.METRICS_TOKEN) {
+            logger.info('metrics require an admin token (set METRICS_TOKEN to scrape with a dedicated token)');
+        }
+    } else {
+        logger.warn('auth disabled, anyone who can reach this port can use the configured API keys and admin endpoints (set AUTH_TOKENS_FILE or AUTH_SECRET)');
+    }
+
+    const builtinTools = registerBuiltinTools();
+    if (builtinTools.length > 0) {
+        logger.info('builtin tools registered', { tools: builtinTools, knowledge_file: process.env.KNOWLEDGE_FILE });
+    }
+
+    let usage;
+    try {
+        usage = createUsageStoreFromEnv();
+    } catch (e) {
+        logger.error('cannot read usage data', { err: e });
+        process.exit(1);
+    }
+
+    const server = createServer(mounts, { auth, usage });
+    server.listen(port, () => {
+        logger.info('server listening', {
+            url: `http://localhost:${port}`,
+            metrics: `http://localhost:${port}/metrics`,
+            mounts: mounts.map(({ provider, path: mountPath, realtimePath }) => ({
+                provider: provider.name,
+                ws: `ws://localhost:${port}${mountPath}`,
+                realtime: realtimePath ? `ws://localhost:${port}${realtimePath}` : undefined,
+                page: provider.page ? `http://localhost:${port}/${provider.page}` : undefined
+            }))
+        });
+    });
+    return server;
+}
+
+module.exports = {
+    resolveMounts,
+    createServer,
+    startServer
+};
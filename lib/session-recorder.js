@@ -0,0 +1,117 @@
+// 会话录制：把代理与上游之间的每一帧写入会话文件，配合 mock/replay-server.js 回放
+//
+// 设置 RECORD_DIR 后启用，每个连接一个 JSON Lines 文件：
+//   第一行  { "type": "session", "version": 1, "provider", "url", "target", "started_at" }
+//   之后    { "t": 毫秒, "dir": "client" | "upstream", "text": "..." }     文本帧
+//           { "t": 毫秒, "dir": "client" | "upstream", "binary": "base64" } 二进制帧（音频、豆包协议帧）
+//   关闭    { "t": 毫秒, "dir": "client" | "upstream", "close": 关闭码, "reason": "..." }
+//
+// client 为代理发往上游的帧（已经过协议转换）和代理主动断开，upstream 为上游返回的帧和连接关闭
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const RECORDING_VERSION = 1;
+
+function getRecordDir() {
+    return process.env.RECORD_DIR;
+}
+
+function createRecordingFile(dir, provider) {
+    fs.mkdirSync(dir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const suffix = Math.random().toString(36).slice(2, 8);
+    return path.join(dir, `${provider}-${stamp}-${suffix}.jsonl`);
+}
+
+// 录制上游 WebSocket 的收发，未设置 RECORD_DIR 时不做任何事，返回录制文件路径或 null
+function recordUpstream(serverWs, { provider, url, target, log = logger }) {
+    const dir = getRecordDir();
+    if (!dir) return null;
+
+    let file;
+    try {
+        file = createRecordingFile(dir, provider);
+    } catch (e) {
+        log.error('recording create failed', { err: e });
+        return null;
+    }
+
+    const stream = fs.createWriteStream(file);
+    const startedAt = Date.now();
+    let ended = false;
+
+    stream.on('error', (e) => {
+        log.error('recording write failed', { file, err: e });
+        ended = true;
+    });
+
+    function write(entry) {
+        if (!ended) stream.write(JSON.stringify(entry) + '\n');
+    }
+
+    function writeFrame(dir, data, isBinary) {
+        const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        const entry = { t: Date.now() - startedAt, dir };
+        if (isBinary) {
+            entry.binary = buffer.toString('base64');
+        } else {
+            entry.text = buffer.toString('utf8');
+        }
+        write(entry);
+    }
+
+    write({
+        type: 'session',
+        version: RECORDING_VERSION,
+        provider,
+        url,
+        target,
+        started_at: new Date(startedAt).toISOString()
+    });
+
+    const send = serverWs.send.bind(serverWs);
+    serverWs.send = (data, options, cb) => {
+        const isBinary = options && options.binary !== undefined ? options.binary : typeof data !== 'string';
+        writeFrame('client', data, isBinary);
+        return send(data, options, cb);
+    };
+
+    const close = serverWs.close.bind(serverWs);
+    serverWs.close = (code, reason) => {
+        write({ t: Date.now() - startedAt, dir: 'client', close: code === undefined ? 1005 : code, reason: reason ? reason.toString() : '' });
+        return close(code, reason);
+    };
+
+    serverWs.on('message', (data, isBinary) => {
+        writeFrame('upstream', data, isBinary);
+    });
+
+    serverWs.on('close', (code, reason) => {
+        write({ t: Date.now() - startedAt, dir: 'upstream', close: code, reason: reason.toString() });
+        ended = true;
+        stream.end();
+    });
+
+    log.info('recording session', { file });
+    return file;
+}
+
+// 读取会话文件，返回 { header, frames }
+function loadRecording(file) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+    if (lines.length === 0) {
+        throw new Error(`录制文件为空: ${file}`);
+    }
+    const header = JSON.parse(lines[0]);
+    if (header.type !== 'session' || header.version !== RECORDING_VERSION) {
+        throw new Error(`不支持的录制文件格式: ${file}`);
+    }
+    return { header, frames: lines.slice(1).map(line => JSON.parse(line)) };
+}
+
+module.exports = {
+    recordUpstream,
+    loadRecording
+};
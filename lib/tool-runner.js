@@ -0,0 +1,378 @@
+// 代理端工具执行：GLM 代理拦截模型的函数调用，在服务器端执行工具后把结果交回模型（见 providers/glm.js）
+//
+// 工具来源：
+//   MCP 服务  客户端发送 proxy.tools.configure 指定一个或多个 MCP 服务，通过 lib/mcp-client.js 获取和调用工具
+//   本地工具  registerLocalTool() 注册的处理函数，在代理进程内执行
+//
+// 超时和重试（超时、网络错误时重试，工具自身返回的错误不重试）：
+//   TOOL_TIMEOUT_MS  每次调用的超时毫秒数（默认 15000）
+//   TOOL_RETRIES     失败后的重试次数（默认 1）
+//   TOOLS_CONFIG     JSON 配置文件，可按工具覆盖默认值：
+//                    { "defaults": { "timeout_ms": 15000, "retries": 1 }, "tools": { "<工具名>": { "timeout_ms": 30000, "retries": 0 } } }
+//
+// 调用策略（policy）：
+//   auto     直接执行
+//   confirm  先发给客户端确认，用户可以修改参数后批准或拒绝
+//   deny     不执行，告诉模型该工具被禁止
+// 客户端在 proxy.tools.configure 的 tool_policies 中设置，TOOLS_CONFIG 中的 policy 作为下限，
+// 两者取更严格的一个（客户端不能把管理员要求确认的工具改为直接执行）
+
+const fs = require('fs');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+const { McpError, mcpClients, mcpClientKey, sanitizeHeaders, isRpcError, toolResultText } = require('./mcp-client');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 1;
+
+// 重试前等待 500ms、1s、2s ...
+const RETRY_BASE_DELAY_MS = 500;
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND'];
+
+const TOOL_POLICIES = ['auto', 'confirm', 'deny'];
+
+class ToolError extends Error {
+    // code 为 timeout（超时）、invalid_arguments（参数不是 JSON 对象）或 unknown_tool
+    constructor(message, code) {
+        super(message);
+        this.name = 'ToolError';
+        this.code = code;
+    }
+}
+
+// 本地工具：name -> { name, description, parameters, execute(args, context), timeoutMs, retries }
+const localTools = new Map();
+
+// 注册本地工具，execute 可以返回字符串或任意可序列化的值，抛出异常表示调用失败
+// context 为 { state, user, log }，state 是每个会话独立的对象，可用来保存会话内的数据
+function registerLocalTool(tool) {
+    if (!tool || typeof tool.name !== 'string' || !tool.name || typeof tool.execute !== 'function') {
+        throw new Error('本地工具需要 name 和 execute');
+    }
+    localTools.set(tool.name, tool);
+}
+
+let toolsConfig = null;
+
+function loadToolsConfig() {
+    if (toolsConfig) return toolsConfig;
+    toolsConfig = { defaults: {}, tools: {} };
+    const file = process.env.TOOLS_CONFIG;
+    if (file) {
+        try {
+            const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+            toolsConfig = { defaults: config.defaults || {}, tools: config.tools || {} };
+        } catch (e) {
+            logger.error('tools config invalid, using defaults', { file, err: e });
+        }
+    }
+    return toolsConfig;
+}
+
+function toNonNegative(value) {
+    const number = Number(value);
+    return value !== undefined && value !== null && value !== '' && Number.isFinite(number) && number >= 0 ? number : undefined;
+}
+
+// 优先级：TOOLS_CONFIG 中的单个工具 > 注册本地工具时的设置 > TOOLS_CONFIG 的 defaults > 环境变量 > 内置默认值
+function getToolSettings(name, localTool) {
+    const config = loadToolsConfig();
+    const own = config.tools[name] || {};
+    const pick = (key, localValue, envValue, fallback) => [
+        toNonNegative(own[key]),
+        toNonNegative(localValue),
+        toNonNegative(config.defaults[key]),
+        toNonNegative(envValue)
+    ].find(value => value !== undefined) ?? fallback;
+
+    return {
+        timeoutMs: pick('timeout_ms', localTool?.timeoutMs, process.env.TOOL_TIMEOUT_MS, DEFAULT_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+        retries: Math.floor(pick('retries', localTool?.retries, process.env.TOOL_RETRIES, DEFAULT_RETRIES))
+    };
+}
+
+function isPolicy(value) {
+    return TOOL_POLICIES.includes(value);
+}
+
+// 取更严格的策略：deny > confirm > auto
+function strictestPolicy(...policies) {
+    return policies.filter(isPolicy).reduce((a, b) => (TOOL_POLICIES.indexOf(b) > TOOL_POLICIES.indexOf(a) ? b : a), 'auto');
+}
+
+// TOOLS_CONFIG 中的单个工具 > defaults，未配置时为 auto
+function getConfiguredPolicy(name) {
+    const config = loadToolsConfig();
+    const own = config.tools[name] || {};
+    return [own.policy, config.defaults.policy].find(isPolicy) || 'auto';
+}
+
+// 拒绝执行时交给模型的结果，decision 为 denied（策略禁止）、rejected（用户拒绝）或 timeout（用户未及时确认）
+function rejectedToolResult(name, decision) {
+    const messages = {
+        denied: `工具 ${name} 已被禁止调用，请不要重试，告诉用户无法执行这个操作。`,
+        rejected: `用户拒绝了这次 ${name} 调用，请不要重试，询问用户想怎么调整。`,
+        timeout: `用户没有及时确认 ${name} 调用，本次未执行，请询问用户是否还需要。`
+    };
+    return {
+        output: JSON.stringify({ success: false, rejected: true, reason: decision, tool: name, message: messages[decision] }),
+        is_error: true,
+        attempts: 0,
+        duration_ms: 0
+    };
+}
+
+function withTimeout(promise, timeoutMs, name) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new ToolError(`工具 ${name} 执行超时（${timeoutMs}ms）`, 'timeout')), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function isRetryable(error) {
+    if (error instanceof ToolError) return error.code === 'timeout';
+    if (error instanceof McpError) {
+        // 4xx 说明请求本身有问题（如认证失败），重试也不会成功
+        return !isRpcError(error) && !(error.status >= 400 && error.status < 500);
+    }
+    return RETRYABLE_NETWORK_CODES.includes(error && error.code);
+}
+
+function parseArguments(argumentsJson) {
+    if (argumentsJson === undefined || argumentsJson === null || argumentsJson === '') return {};
+    if (typeof argumentsJson === 'object') return argumentsJson;
+    let args;
+    try {
+        args = JSON.parse(argumentsJson);
+    } catch (e) {
+        throw new ToolError('工具参数不是有效的 JSON: ' + e.message, 'invalid_arguments');
+    }
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+        throw new ToolError('工具参数必须是 JSON 对象', 'invalid_arguments');
+    }
+    return args;
+}
+
+function toOutputText(value) {
+    if (typeof value === 'string') return value;
+    return value === undefined ? '' : JSON.stringify(value);
+}
+
+function toFunctionDefinition(name, description, parameters) {
+    const schema = parameters && typeof parameters === 'object' ? parameters : {};
+    return {
+        type: 'function',
+        name,
+        description: description || '',
+        parameters: Object.assign({}, schema, { type: 'object', properties: schema.properties || {} })
+    };
+}
+
+// 多个 MCP 服务的工具名加上服务名前缀，避免重名（与 index.html 的 mcpToolName 一致）
+const NAMESPACE_SEPARATOR = '__';
+const SERVER_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+function namespacedToolName(serverName, toolName) {
+    return serverName ? `${serverName}${NAMESPACE_SEPARATOR}${toolName}` : toolName;
+}
+
+// 检查客户端发来的 MCP 服务配置，返回 { name, url, headers }
+function toMcpServer(server) {
+    if (!server || typeof server !== 'object') {
+        throw new McpError('MCP 服务配置无效');
+    }
+    if (server.name !== null && !SERVER_NAME_PATTERN.test(server.name || '')) {
+        throw new McpError(`MCP 服务名称只能包含字母、数字、_ 和 -（最多 32 个字符）: ${server.name}`);
+    }
+    let parsed;
+    try {
+        parsed = new URL(server.url);
+    } catch (e) {
+        throw new McpError('MCP URL 无效: ' + server.url);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new McpError('MCP URL 必须是 http 或 https 地址');
+    }
+    return { name: server.name, url: server.url, headers: sanitizeHeaders(server.headers) };
+}
+
+// 每个连接一个执行器，user 用于区分 MCP 会话和检查 MCP 权限
+function createToolRunner({ user = null, log = logger } = {}) {
+    const state = {};
+    let mcpTools = new Map(); // 工具名（带服务名前缀）-> { server, tool }，tool 为 MCP 工具定义（inputSchema）
+    let disabled = new Set();
+    let includeLocal = true;
+    let policies = {}; // 客户端设置的调用策略：工具名 -> auto / confirm / deny
+
+    function isLocal(name) {
+        return includeLocal && localTools.has(name) && !disabled.has(name);
+    }
+
+    async function loadServerTools(server) {
+        const key = mcpClientKey(user, server.url, server.headers);
+        try {
+            return await mcpClients.get(key, { url: server.url, headers: server.headers, log }).listTools();
+        } catch (e) {
+            if (!isRpcError(e)) mcpClients.discard(key);
+            throw e;
+        }
+    }
+
+    // 从 MCP 服务加载工具，替换之前加载的 MCP 工具，返回 { tools, errors }
+    //   servers        [{ name, url, headers }]，工具名为「服务名__工具名」
+    //   url            只有一个 MCP 服务时也可以只传 URL，工具名不加前缀
+    //   disabledTools  不提供给模型的工具名（MCP 工具带前缀）
+    //   localTools     为 false 时不使用本地工具
+    //   toolPolicies   { 工具名: auto / confirm / deny }，未设置的工具为 auto
+    // 部分服务加载失败时其余服务的工具照常使用，失败信息在 errors 中；全部失败时抛出第一个错误
+    async function configure({ servers, url, disabledTools = [], localTools: useLocalTools = true, toolPolicies = {} } = {}) {
+        if (!toolPolicies || typeof toolPolicies !== 'object' || Array.isArray(toolPolicies)) {
+            throw new McpError('tool_policies 必须是对象');
+        }
+        const invalidPolicy = Object.keys(toolPolicies).find(name => !isPolicy(toolPolicies[name]));
+        if (invalidPolicy) {
+            throw new McpError(`工具 ${invalidPolicy} 的调用策略无效，只能是 ${TOOL_POLICIES.join('、')}`);
+        }
+        let targets = Array.isArray(servers) ? servers : (url ? [{ name: null, url }] : []);
+        targets = targets.map(toMcpServer);
+        const names = targets.map(server => server.name);
+        if (new Set(names).size !== names.length) {
+            throw new McpError('MCP 服务名称不能重复');
+        }
+        if (targets.length > 0 && user && user.mcp === false) {
+            throw new McpError(`用户 ${user.id} 无权使用 MCP 代理`);
+        }
+
+        const results = await Promise.all(targets.map(server => loadServerTools(server).then(
+            tools => ({ server, tools }),
+            error => ({ server, error })
+        )));
+        const failed = results.filter(result => result.error);
+        if (targets.length > 0 && failed.length === targets.length) {
+            throw failed[0].error;
+        }
+
+        disabled = new Set(Array.isArray(disabledTools) ? disabledTools : []);
+        includeLocal = useLocalTools !== false;
+        policies = Object.assign({}, toolPolicies);
+        mcpTools = new Map();
+        results.filter(result => result.tools).forEach(({ server, tools }) => {
+            tools.forEach(tool => {
+                const name = namespacedToolName(server.name, tool.name);
+                if (disabled.has(name)) return;
+                if (isLocal(name) || mcpTools.has(name)) {
+                    log.warn('duplicate tool name, skipped', { tool: name, url: server.url });
+                    return;
+                }
+                mcpTools.set(name, { server, tool });
+            });
+        });
+        const errors = failed.map(({ server, error }) => {
+            log.warn('mcp server tools load failed', { server: server.name, url: server.url, err: error });
+            return { server: server.name || server.url, message: error.message };
+        });
+        log.info('server tools configured', { servers: targets.length - failed.length, mcp_tools: mcpTools.size, local_tools: list().length - mcpTools.size });
+        return { tools: list(), errors };
+    }
+
+    function has(name) {
+        return isLocal(name) || mcpTools.has(name);
+    }
+
+    function policy(name) {
+        return strictestPolicy(policies[name], getConfiguredPolicy(name));
+    }
+
+    // 工具概要，发给客户端展示
+    function list() {
+        return [
+            ...Array.from(localTools.values()).filter(tool => isLocal(tool.name))
+                .map(tool => ({ name: tool.name, description: tool.description || '', source: 'local', policy: policy(tool.name) })),
+            ...Array.from(mcpTools.entries())
+                .map(([name, { server, tool }]) => ({ name, description: tool.description || '', source: 'mcp', server: server.name || server.url, policy: policy(name) }))
+        ];
+    }
+
+    // GLM session.update 中的 tools
+    function definitions() {
+        return [
+            ...Array.from(localTools.values()).filter(tool => isLocal(tool.name))
+                .map(tool => toFunctionDefinition(tool.name, tool.description, tool.parameters)),
+            ...Array.from(mcpTools.entries())
+                .map(([name, { tool }]) => toFunctionDefinition(name, tool.description, tool.inputSchema))
+        ];
+    }
+
+    // 单次调用，返回 { output, is_error }
+    async function invoke(name, args) {
+        if (isLocal(name)) {
+            const value = await localTools.get(name).execute(args, { state, user, log });
+            return { output: toOutputText(value), is_error: false };
+        }
+
+        const { server, tool } = mcpTools.get(name);
+        const key = mcpClientKey(user, server.url, server.headers);
+        try {
+            const result = await mcpClients.get(key, { url: server.url, headers: server.headers, log }).callTool(tool.name, args);
+            return { output: toolResultText(result), is_error: !!result.isError };
+        } catch (e) {
+            if (!isRpcError(e)) mcpClients.discard(key);
+            throw e;
+        }
+    }
+
+    // 执行工具调用，不会抛出异常，失败时 output 为错误说明（交给模型向用户解释）
+    async function run(name, argumentsJson) {
+        const source = isLocal(name) ? 'local' : 'mcp';
+        const { timeoutMs, retries } = getToolSettings(name, isLocal(name) ? localTools.get(name) : null);
+        const endTimer = metrics.toolCallSeconds.startTimer({ source });
+
+        let attempts = 0;
+        let lastError = null;
+        try {
+            if (!has(name)) {
+                throw new ToolError(`未知工具: ${name}`, 'unknown_tool');
+            }
+            const args = parseArguments(argumentsJson);
+            while (attempts <= retries) {
+                attempts++;
+                try {
+                    const result = await withTimeout(invoke(name, args), timeoutMs, name);
+                    const seconds = endTimer({ result: result.is_error ? 'error' : 'ok' });
+                    log.info('tool call finished', { tool: name, source, attempts, is_error: result.is_error, duration_ms: Math.round(seconds * 1000) });
+                    return Object.assign(result, { attempts, duration_ms: Math.round(seconds * 1000) });
+                } catch (e) {
+                    lastError = e;
+                    if (!isRetryable(e) || attempts > retries) break;
+                    const delay = RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1);
+                    log.warn('tool call failed, retrying', { tool: name, attempt: attempts, delay_ms: delay, err: e });
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            }
+        } catch (e) {
+            lastError = e;
+        }
+
+        const timedOut = lastError instanceof ToolError && lastError.code === 'timeout';
+        const seconds = endTimer({ result: timedOut ? 'timeout' : 'error' });
+        log.warn('tool call failed', { tool: name, source, attempts, err: lastError });
+        return {
+            output: `工具调用失败：${lastError.message}`,
+            is_error: true,
+            attempts,
+            duration_ms: Math.round(seconds * 1000)
+        };
+    }
+
+    return { configure, has, policy, list, definitions, run };
+}
+
+module.exports = {
+    TOOL_POLICIES,
+    ToolError,
+    rejectedToolResult,
+    registerLocalTool,
+    createToolRunner
+};
@@ -0,0 +1,140 @@
+// 代理向 MCP 服务发起请求前的目标检查，防止共享的代理被用来访问内网（SSRF）
+//
+//   MCP_ALLOWED_HOSTS        允许的 MCP 主机，逗号分隔，可带端口，支持 *.example.com 通配；未设置时允许任意公网主机
+//   MCP_ALLOW_PRIVATE_HOSTS  设为 true 时允许回环、私有和链路本地地址（本地开发时的 MCP 服务）
+//
+// 回环、私有、链路本地（含云服务器元数据地址 169.254.169.254）等地址默认禁止访问，
+// MCP_ALLOWED_HOSTS 中不带通配符明确列出的主机除外。主机名在建立连接时解析，解析出的每个地址都要检查，
+// 避免公网域名解析到内网地址。
+
+const dns = require('dns');
+const net = require('net');
+
+class BlockedTargetError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BlockedTargetError';
+        this.status = 403;
+    }
+}
+
+// 不是公网的地址段
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8, 'ipv4'],        // 本网络
+    ['10.0.0.0', 8, 'ipv4'],       // 私有
+    ['100.64.0.0', 10, 'ipv4'],    // 运营商 NAT
+    ['127.0.0.0', 8, 'ipv4'],      // 回环
+    ['169.254.0.0', 16, 'ipv4'],   // 链路本地
+    ['172.16.0.0', 12, 'ipv4'],    // 私有
+    ['192.0.0.0', 24, 'ipv4'],     // IETF 协议分配
+    ['192.168.0.0', 16, 'ipv4'],   // 私有
+    ['198.18.0.0', 15, 'ipv4'],    // 基准测试
+    ['224.0.0.0', 3, 'ipv4'],      // 组播和保留
+    ['::', 128, 'ipv6'],           // 未指定
+    ['::1', 128, 'ipv6'],          // 回环
+    ['fc00::', 7, 'ipv6'],         // 唯一本地
+    ['fe80::', 10, 'ipv6'],        // 链路本地
+    ['ff00::', 8, 'ipv6']          // 组播
+].forEach(([address, prefix, type]) => blockedAddresses.addSubnet(address, prefix, type));
+
+// BlockList 对 ::ffff:127.0.0.1 这样的 IPv4 映射地址按 IPv4 地址段检查
+function isPrivateAddress(address) {
+    return blockedAddresses.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+function parseAllowedHosts(env) {
+    const value = env.MCP_ALLOWED_HOSTS;
+    return value ? value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean) : null;
+}
+
+// URL 中的 IPv6 主机带方括号
+function hostnameOf(urlObj) {
+    return urlObj.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+}
+
+function defaultPort(urlObj) {
+    return urlObj.port || (urlObj.protocol === 'https:' ? '443' : '80');
+}
+
+// 白名单中的一项：host、host:port、[IPv6]:port 或 *.example.com
+function parseHostEntry(entry) {
+    const bracketed = /^\[([^\]]+)\](?::(\d+))?$/.exec(entry);
+    if (bracketed) return { host: bracketed[1], port: bracketed[2] || null };
+    const withPort = /^([^:]+):(\d+)$/.exec(entry);
+    if (withPort) return { host: withPort[1], port: withPort[2] };
+    return { host: entry, port: null };
+}
+
+// 在白名单中返回 'explicit'（明确列出）或 'wildcard'（通配符匹配），不在时返回 null
+function matchAllowedHost(urlObj, allowedHosts) {
+    const hostname = hostnameOf(urlObj);
+    const port = defaultPort(urlObj);
+    let result = null;
+    allowedHosts.map(parseHostEntry).forEach(({ host, port: allowedPort }) => {
+        if (allowedPort && allowedPort !== port) return;
+        if (host === hostname) {
+            result = 'explicit';
+        } else if (!result && host.startsWith('*.') && hostname.endsWith(host.slice(1))) {
+            result = 'wildcard';
+        }
+    });
+    return result;
+}
+
+// 检查目标 URL，不允许时抛出 BlockedTargetError；返回传给 http.request 的选项（连接时检查解析出的地址）
+function guardTarget(targetUrl, env = process.env) {
+    let urlObj;
+    try {
+        urlObj = targetUrl instanceof URL ? targetUrl : new URL(targetUrl);
+    } catch (e) {
+        throw new BlockedTargetError('URL 无效: ' + targetUrl);
+    }
+    if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+        throw new BlockedTargetError('只允许 http 或 https 地址');
+    }
+
+    const allowedHosts = parseAllowedHosts(env);
+    const match = allowedHosts ? matchAllowedHost(urlObj, allowedHosts) : null;
+    if (allowedHosts && !match) {
+        throw new BlockedTargetError(`主机 ${urlObj.host} 不在 MCP_ALLOWED_HOSTS 中`);
+    }
+    const allowPrivate = String(env.MCP_ALLOW_PRIVATE_HOSTS).toLowerCase() === 'true' || match === 'explicit';
+    if (allowPrivate) return {};
+
+    // IP 地址不经过 DNS 解析，直接检查
+    const hostname = hostnameOf(urlObj);
+    if (net.isIP(hostname)) {
+        if (isPrivateAddress(hostname)) {
+            throw new BlockedTargetError(`不允许访问内网地址 ${hostname}`);
+        }
+        return {};
+    }
+
+    return {
+        lookup(name, options, callback) {
+            dns.lookup(name, Object.assign({}, options, { all: true }), (err, addresses) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+                if (blocked) {
+                    callback(new BlockedTargetError(`不允许访问内网地址 ${name}（${blocked.address}）`));
+                    return;
+                }
+                if (options.all) {
+                    callback(null, addresses);
+                } else {
+                    callback(null, addresses[0].address, addresses[0].family);
+                }
+            });
+        }
+    };
+}
+
+module.exports = {
+    BlockedTargetError,
+    isPrivateAddress,
+    guardTarget
+};
@@ -0,0 +1,312 @@
+// 用量统计与配额
+//
+// 按用户、按会话统计：发往上游的音频时长、收到的音频时长、文本字符数（上游返回时另记 token 数）、
+// 工具调用次数和会话时长。各服务商的消息格式不同，由适配器的 measureUsage 从客户端消息中提取。
+//
+// 设置 USAGE_DIR 后持久化，否则只保存在内存中（重启后清零）：
+//   usage.json      按用户、按天汇总
+//   sessions.jsonl  每个结束的会话一行
+//
+// 配额（超出后拒绝新会话，进行中的会话发送错误后以 4429 关闭）：
+//   QUOTA_DAILY_AUDIO_MINUTES / QUOTA_MONTHLY_AUDIO_MINUTES   音频分钟数（上行 + 下行）
+//   QUOTA_DAILY_TEXT_CHARS / QUOTA_MONTHLY_TEXT_CHARS         文本字符数（输入 + 输出）
+// 令牌中的 quota 字段（daily_audio_minutes 等同名小写字段）可以为单个用户覆盖默认配额
+
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+const { sendJson } = require('./http-utils');
+const { logger } = require('./logger');
+
+const USAGE_FIELDS = [
+    'sessions',
+    'duration_ms',
+    'audio_in_ms',
+    'audio_out_ms',
+    'text_in_chars',
+    'text_out_chars',
+    'text_in_tokens',
+    'text_out_tokens',
+    'function_calls'
+];
+
+const QUOTA_CLOSE_CODE = 4429;
+
+const SAVE_DELAY_MS = 1000;
+
+function emptyUsage() {
+    const usage = {};
+    USAGE_FIELDS.forEach(field => { usage[field] = 0; });
+    return usage;
+}
+
+function addUsage(target, delta) {
+    USAGE_FIELDS.forEach(field => {
+        if (delta[field]) target[field] += delta[field];
+    });
+    return target;
+}
+
+// PCM16 单声道字节数换算为毫秒
+function pcmDurationMs(bytes, sampleRate) {
+    return bytes / 2 / sampleRate * 1000;
+}
+
+// 本地时间的 YYYY-MM-DD
+function dateKey(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function getQuotaLimits(user, env = process.env) {
+    const limit = (name) => {
+        const override = user && user.quota && user.quota[name.toLowerCase()];
+        const value = Number(override !== undefined ? override : env[`QUOTA_${name}`]);
+        return value > 0 ? value : null;
+    };
+    return {
+        daily: { audio_minutes: limit('DAILY_AUDIO_MINUTES'), text_chars: limit('DAILY_TEXT_CHARS') },
+        monthly: { audio_minutes: limit('MONTHLY_AUDIO_MINUTES'), text_chars: limit('MONTHLY_TEXT_CHARS') }
+    };
+}
+
+function createUsageStore({ dir = null } = {}) {
+    const usageFile = dir ? path.join(dir, 'usage.json') : null;
+    const sessionsFile = dir ? path.join(dir, 'sessions.jsonl') : null;
+    // users[用户][日期] = 用量
+    let users = {};
+    // 未持久化时在内存中保留最近的会话
+    const recentSessions = [];
+    let saveTimer = null;
+
+    if (dir) {
+        fs.mkdirSync(dir, { recursive: true });
+        if (fs.existsSync(usageFile)) {
+            users = JSON.parse(fs.readFileSync(usageFile, 'utf8')).users || {};
+        }
+    }
+
+    function save() {
+        saveTimer = null;
+        const tmp = usageFile + '.tmp';
+        fs.writeFile(tmp, JSON.stringify({ version: 1, users }, null, 2), (err) => {
+            if (err) {
+                logger.error('usage save failed', { err });
+                return;
+            }
+            fs.rename(tmp, usageFile, (renameErr) => {
+                if (renameErr) logger.error('usage save failed', { err: renameErr });
+            });
+        });
+    }
+
+    function scheduleSave() {
+        if (usageFile && !saveTimer) {
+            saveTimer = setTimeout(save, SAVE_DELAY_MS);
+        }
+    }
+
+    function record(userId, delta, date = new Date()) {
+        const days = users[userId] || (users[userId] = {});
+        const key = dateKey(date);
+        addUsage(days[key] || (days[key] = emptyUsage()), delta);
+        scheduleSave();
+    }
+
+    // prefix 为日期前缀：YYYY-MM-DD 为当天，YYYY-MM 为当月
+    function getTotals(userId, prefix) {
+        const total = emptyUsage();
+        Object.entries(users[userId] || {}).forEach(([key, usage]) => {
+            if (key.startsWith(prefix)) addUsage(total, usage);
+        });
+        return total;
+    }
+
+    function addSession(summary) {
+        if (sessionsFile) {
+            fs.appendFile(sessionsFile, JSON.stringify(summary) + '\n', (err) => {
+                if (err) logger.error('usage session write failed', { err });
+            });
+        } else {
+            recentSessions.push(summary);
+            if (recentSessions.length > 1000) recentSessions.shift();
+        }
+    }
+
+    // 跳过无法解析的行（如写到一半时进程退出留下的半行），不影响其余记录
+    function listSessions() {
+        if (!sessionsFile) return recentSessions.slice();
+        if (!fs.existsSync(sessionsFile)) return [];
+        const sessions = [];
+        let skipped = 0;
+        fs.readFileSync(sessionsFile, 'utf8').split('\n').filter(Boolean).forEach(line => {
+            let session = null;
+            try {
+                session = JSON.parse(line);
+            } catch (e) {
+                session = null;
+            }
+            if (session && typeof session === 'object') {
+                sessions.push(session);
+            } else {
+                skipped++;
+            }
+        });
+        if (skipped > 0) logger.warn('usage sessions skipped invalid lines', { file: sessionsFile, skipped });
+        return sessions;
+    }
+
+    // 检查配额，超出时返回 { period, metric, used, limit, message }
+    function checkQuota(user) {
+        const limits = getQuotaLimits(user);
+        const today = dateKey();
+        const periods = [
+            ['daily', today, '今日'],
+            ['monthly', today.slice(0, 7), '本月']
+        ];
+        for (const [period, prefix, label] of periods) {
+            const { audio_minutes: audioLimit, text_chars: textLimit } = limits[period];
+            if (!audioLimit && !textLimit) continue;
+            const totals = getTotals(user.id, prefix);
+            const audioMinutes = (totals.audio_in_ms + totals.audio_out_ms) / 60000;
+            if (audioLimit && audioMinutes >= audioLimit) {
+                return { period, metric: 'audio_minutes', used: audioMinutes, limit: audioLimit, message: `${label}语音用量已达上限（${audioLimit} 分钟）` };
+            }
+            const textChars = totals.text_in_chars + totals.text_out_chars;
+            if (textLimit && textChars >= textLimit) {
+                return { period, metric: 'text_chars', used: textChars, limit: textLimit, message: `${label}文本用量已达上限（${textLimit} 字符）` };
+            }
+        }
+        return null;
+    }
+
+    // 用量报表，from/to 为 YYYY-MM-DD（含），userId 为空时包含所有用户
+    function report({ from, to, userId = null, includeSessions = false }) {
+        const result = { from, to, generated_at: new Date().toISOString(), users: {} };
+        Object.entries(users).forEach(([id, days]) => {
+            if (userId && id !== userId) return;
+            const entry = { total: emptyUsage(), days: {} };
+            Object.keys(days).sort().forEach(key => {
+                if (key < from || key > to) return;
+                entry.days[key] = days[key];
+                addUsage(entry.total, days[key]);
+            });
+            if (Object.keys(entry.days).length > 0) result.users[id] = entry;
+        });
+        if (includeSessions) {
+            result.sessions = listSessions().filter(s => {
+                const key = dateKey(new Date(s.started_at));
+                return key >= from && key <= to && (!userId || s.user === userId);
+            });
+        }
+        return result;
+    }
+
+    return { record, getTotals, addSession, checkQuota, report };
+}
+
+function createUsageStoreFromEnv(env = process.env) {
+    return createUsageStore({ dir: env.USAGE_DIR || null });
+}
+
+// 统计一个客户端连接的用量并执行配额，返回 false 表示因超出配额拒绝了连接
+// 需要在适配器处理连接之前调用，以便先于适配器检查每条消息
+function meterConnection(clientWs, req, { provider, store }) {
+    const user = req.user || { id: 'anonymous' };
+    const log = req.log || logger;
+
+    function rejectForQuota(exceeded) {
+        log.warn('quota exceeded', { period: exceeded.period, metric: exceeded.metric, used: exceeded.used, limit: exceeded.limit });
+        const error = provider.clientError
+            ? provider.clientError('quota_exceeded', exceeded.message)
+            : { type: 'error', code: 'quota_exceeded', message: exceeded.message };
+        clientWs.send(JSON.stringify(error));
+        clientWs.close(QUOTA_CLOSE_CODE, 'quota exceeded');
+    }
+
+    const exceeded = store.checkQuota(user);
+    if (exceeded) {
+        rejectForQuota(exceeded);
+        return false;
+    }
+
+    if (!provider.measureUsage) return true;
+
+    const startedAt = new Date();
+    const usage = emptyUsage();
+    let closed = false;
+
+    function measure(direction, data, isBinary) {
+        if (closed) return;
+        const delta = provider.measureUsage(direction, data, isBinary);
+        if (!delta) return;
+        addUsage(usage, delta);
+        store.record(user.id, delta);
+
+        const exceeded = store.checkQuota(user);
+        if (exceeded) {
+            closed = true;
+            rejectForQuota(exceeded);
+        }
+    }
+
+    clientWs.on('message', (data, isBinary) => measure('client', data, isBinary));
+
+    const send = clientWs.send.bind(clientWs);
+    clientWs.send = (data, options, cb) => {
+        const isBinary = options && options.binary !== undefined ? !!options.binary : typeof data !== 'string';
+        measure('server', data, isBinary);
+        return send(data, options, cb);
+    };
+
+    clientWs.on('close', () => {
+        const endedAt = new Date();
+        const durationMs = endedAt - startedAt;
+        store.record(user.id, { sessions: 1, duration_ms: durationMs }, startedAt);
+        store.addSession({
+            user: user.id,
+            provider: provider.name,
+            path: req.url,
+            started_at: startedAt.toISOString(),
+            ended_at: endedAt.toISOString(),
+            usage: Object.assign(usage, { sessions: 1, duration_ms: durationMs })
+        });
+    });
+
+    return true;
+}
+
+// GET /api/usage?from=YYYY-MM-DD&to=YYYY-MM-DD&user=<用户>&sessions=1
+// 默认统计本月；管理员可查看所有用户，其他用户只能查看自己的用量
+function handleUsageReport(req, res, { store, user }) {
+    if (req.method !== 'GET') {
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    const query = url.parse(req.url, true).query;
+    const today = dateKey();
+    const from = query.from || today.slice(0, 8) + '01';
+    const to = query.to || today;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(from) || !datePattern.test(to)) {
+        sendJson(res, 400, { error: 'from 和 to 必须是 YYYY-MM-DD 格式' });
+        return;
+    }
+
+    const userId = user.admin ? (query.user || null) : user.id;
+    sendJson(res, 200, store.report({ from, to, userId, includeSessions: query.sessions === '1' }));
+}
+
+module.exports = {
+    USAGE_FIELDS,
+    QUOTA_CLOSE_CODE,
+    emptyUsage,
+    pcmDurationMs,
+    dateKey,
+    getQuotaLimits,
+    createUsageStore,
+    createUsageStoreFromEnv,
+    meterConnection,
+    handleUsageReport
+};
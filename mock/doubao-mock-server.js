@@ -0,0 +1,260 @@
+// 本地模拟豆包实时语音服务器，用于离线开发和端到端测试
+// 使用与真实服务相同的二进制协议，按脚本返回 ASR、对话文本和 TTS 音频
+//
+// 运行：npm run mock:doubao
+// 代理指向模拟服务器：DOUBAO_URL=ws://localhost:3101 npm start
+//
+// 环境变量：
+//   DOUBAO_MOCK_PORT    端口（默认 3101）
+//   DOUBAO_MOCK_SCRIPT  对话脚本 JSON 文件（默认 mock/fixtures/doubao-default.json）
+//   DOUBAO_MOCK_FAIL    注入失败：connection | session | error
+
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const {
+    MESSAGE_TYPES,
+    EVENT_IDS,
+    encodeMessage,
+    decodeMessage
+} = require('../providers/doubao-codec');
+
+const DEFAULT_SCRIPT_FILE = path.join(__dirname, 'fixtures', 'doubao-default.json');
+
+// 16kHz PCM16 单声道，1 秒 32000 字节
+const INPUT_BYTES_PER_SECOND = 32000;
+const OUTPUT_SAMPLE_RATE = 24000;
+
+function loadScript(file) {
+    return JSON.parse(fs.readFileSync(file || DEFAULT_SCRIPT_FILE, 'utf8'));
+}
+
+// 生成一段正弦波 PCM16 作为 TTS 音频
+function generateTone(durationMs, frequency = 440) {
+    const samples = Math.floor(OUTPUT_SAMPLE_RATE * durationMs / 1000);
+    const buf = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+        const value = Math.sin(2 * Math.PI * frequency * i / OUTPUT_SAMPLE_RATE) * 0.3;
+        buf.writeInt16LE(Math.round(value * 0x7FFF), i * 2);
+    }
+    return buf;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// options:
+//   port          监听端口，0 表示随机端口
+//   script        对话脚本（见 fixtures/doubao-default.json）
+//   failures      注入的失败：
+//                   connectionFailed  StartConnection 时返回 CONNECTION_FAILED 的错误信息
+//                   sessionFailed     StartSession 时返回 SESSION_FAILED 的错误信息
+//                   errorInfo         { code, message, afterTurns } 第 afterTurns 轮后返回 ERROR_INFO
+//                   closeAfterTurns   第 closeAfterTurns 轮后直接断开连接
+//   requireAuth   是否检查 X-Api-App-ID / X-Api-Access-Key 请求头（默认 true）
+//   frameDelayMs  连续帧之间的间隔（默认 20ms）
+function createDoubaoMockServer({
+    port = 3101,
+    script = loadScript(),
+    failures = {},
+    requireAuth = true,
+    frameDelayMs = 20
+} = {}) {
+    const wss = new WebSocket.Server({
+        port,
+        verifyClient: (info, done) => {
+            if (!requireAuth) return done(true);
+            const headers = info.req.headers;
+            if (!headers['x-api-app-id'] || !headers['x-api-access-key']) {
+                return done(false, 401, 'Unauthorized');
+            }
+            done(true);
+        }
+    });
+
+    wss.on('connection', (ws, req) => {
+        const connectId = req.headers['x-api-connect-id'] || `mock_connect_${Date.now()}`;
+        let sessionId = null;
+        let audioBytes = 0;
+        let pushToTalk = false;  // push_to_talk 模式下收到 EndASR 才视为说完
+        let turnIndex = 0;
+        let turnRunning = false;
+        let interrupted = false; // 收到 ClientInterrupt，当前一轮不再发送剩下的回复
+
+        function send(frame) {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(encodeMessage(frame));
+            }
+        }
+
+        function sendEvent(eventId, payload, id = sessionId) {
+            send({
+                messageType: MESSAGE_TYPES.FULL_SERVER_RESPONSE,
+                eventId,
+                sessionId: id,
+                payload
+            });
+        }
+
+        async function runTurn(userText) {
+            const turns = script.turns || [];
+            if (turns.length === 0 || turnRunning) return;
+            turnRunning = true;
+            interrupted = false;
+
+            const turn = turns[turnIndex % turns.length];
+            turnIndex++;
+            const questionId = `mock_question_${turnIndex}`;
+            const replyId = `mock_reply_${turnIndex}`;
+            const asrText = userText || turn.asr || '';
+
+            sendEvent(EVENT_IDS.ASR_INFO, { question_id: questionId });
+            await sleep(frameDelayMs);
+            // 先返回中间结果，再返回最终结果
+            if (asrText.length > 1) {
+                sendEvent(EVENT_IDS.ASR_RESPONSE, {
+                    results: [{ text: asrText.slice(0, Math.ceil(asrText.length / 2)), is_interim: true }]
+                });
+                await sleep(frameDelayMs);
+            }
+            sendEvent(EVENT_IDS.ASR_RESPONSE, { results: [{ text: asrText, is_interim: false }] });
+            await sleep(frameDelayMs);
+            sendEvent(EVENT_IDS.ASR_ENDED, {});
+
+            const chunks = Array.isArray(turn.reply) ? turn.reply : [turn.reply || ''];
+            const audioMsPerChunk = Math.floor((turn.audioMs || 600) / chunks.length);
+            for (const content of chunks) {
+                await sleep(frameDelayMs);
+                if (interrupted) break;
+                sendEvent(EVENT_IDS.CHAT_RESPONSE, { content, question_id: questionId, reply_id: replyId });
+                await sleep(frameDelayMs);
+                if (interrupted) break;
+                send({
+                    messageType: MESSAGE_TYPES.SERVER_ACK,
+                    eventId: EVENT_IDS.TTS_RESPONSE,
+                    sessionId,
+                    payload: generateTone(audioMsPerChunk)
+                });
+            }
+            await sleep(frameDelayMs);
+            sendEvent(EVENT_IDS.TTS_ENDED, {});
+            sendEvent(EVENT_IDS.CHAT_ENDED, { question_id: questionId, reply_id: replyId });
+            turnRunning = false;
+
+            if (failures.errorInfo && turnIndex >= (failures.errorInfo.afterTurns || 0)) {
+                send({
+                    messageType: MESSAGE_TYPES.ERROR_INFO,
+                    errorCode: failures.errorInfo.code || 55000000,
+                    payload: { error: failures.errorInfo.message || 'mock error' }
+                });
+            }
+            if (failures.closeAfterTurns && turnIndex >= failures.closeAfterTurns) {
+                ws.close(1011, 'mock close');
+            }
+        }
+
+        ws.on('message', (data) => {
+            const msg = decodeMessage(data);
+            if (!msg) {
+                send({
+                    messageType: MESSAGE_TYPES.ERROR_INFO,
+                    errorCode: 45000001,
+                    payload: { error: 'invalid frame' }
+                });
+                return;
+            }
+
+            switch (msg.eventId) {
+                case EVENT_IDS.START_CONNECTION:
+                    if (failures.connectionFailed) {
+                        sendEvent(EVENT_IDS.CONNECTION_FAILED, { error: failures.connectionFailed }, connectId);
+                        return;
+                    }
+                    sendEvent(EVENT_IDS.CONNECTION_STARTED, {}, connectId);
+                    break;
+
+                case EVENT_IDS.START_SESSION:
+                    sessionId = msg.sessionId;
+                    pushToTalk = msg.payload?.dialog?.extra?.input_mod === 'push_to_talk';
+                    if (failures.sessionFailed) {
+                        sendEvent(EVENT_IDS.SESSION_FAILED, { error: failures.sessionFailed });
+                        return;
+                    }
+                    sendEvent(EVENT_IDS.SESSION_STARTED, { dialog_id: `mock_dialog_${Date.now()}` });
+                    break;
+
+                case EVENT_IDS.TASK_REQUEST:
+                    if (msg.messageType === MESSAGE_TYPES.AUDIO_ONLY_REQUEST) {
+                        // 每收到 audioSeconds 秒音频视为用户说完一句话
+                        audioBytes += Buffer.isBuffer(msg.payload) ? msg.payload.length : 0;
+                        if (!pushToTalk && audioBytes >= INPUT_BYTES_PER_SECOND * (script.audioSeconds || 2)) {
+                            audioBytes = 0;
+                            runTurn(null);
+                        }
+                    } else {
+                        runTurn(msg.payload?.text || msg.payload?.input_text);
+                    }
+                    break;
+
+                case EVENT_IDS.END_ASR:
+                    if (audioBytes > 0) {
+                        audioBytes = 0;
+                        runTurn(null);
+                    }
+                    break;
+
+                case EVENT_IDS.CHAT_TEXT_QUERY:
+                    runTurn(msg.payload?.content);
+                    break;
+
+                case EVENT_IDS.CLIENT_INTERRUPT:
+                    if (turnRunning) interrupted = true;
+                    break;
+
+                case EVENT_IDS.FINISH_SESSION:
+                    sendEvent(EVENT_IDS.SESSION_FINISHED, {});
+                    break;
+
+                case EVENT_IDS.FINISH_CONNECTION:
+                    sendEvent(EVENT_IDS.CONNECTION_FINISHED, {}, connectId);
+                    ws.close(1000);
+                    break;
+            }
+        });
+    });
+
+    return wss;
+}
+
+function failuresFromEnv(value) {
+    switch (value) {
+        case 'connection':
+            return { connectionFailed: 'mock connection failed' };
+        case 'session':
+            return { sessionFailed: 'mock session failed' };
+        case 'error':
+            return { errorInfo: { code: 55000001, message: 'mock error', afterTurns: 1 } };
+        default:
+            return {};
+    }
+}
+
+if (require.main === module) {
+    const port = Number(process.env.DOUBAO_MOCK_PORT) || 3101;
+    const wss = createDoubaoMockServer({
+        port,
+        script: loadScript(process.env.DOUBAO_MOCK_SCRIPT),
+        failures: failuresFromEnv(process.env.DOUBAO_MOCK_FAIL)
+    });
+    wss.on('listening', () => {
+        console.log(`🧪 豆包模拟服务器运行在 ws://localhost:${port}`);
+        console.log(`   代理使用: DOUBAO_URL=ws://localhost:${port} npm start`);
+    });
+}
+
+module.exports = {
+    createDoubaoMockServer,
+    loadScript,
+    generateTone
+};
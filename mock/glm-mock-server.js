@@ -0,0 +1,183 @@
+// 本地模拟 GLM-Realtime 服务器，按脚本回放事件序列，用于离线开发和端到端测试
+//
+// 运行：npm run mock:glm
+// 代理指向模拟服务器：GLM_URL=ws://localhost:3100 npm start
+//
+// 环境变量：
+//   GLM_MOCK_PORT    端口（默认 3100）
+//   GLM_MOCK_SCRIPT  脚本 JSON 文件（默认 mock/fixtures/glm-default.json）
+//
+// 脚本格式：
+//   sessionUpdated  收到 session.update 后发送的事件（默认回复 session.updated）
+//   audioSeconds    累计收到多少秒音频视为说完一句话（默认 2）；session 的 turn_detection 为 null（按住说话）时
+//                   不按音频断句，只由 input_audio_buffer.commit 触发
+//   turns           每轮对话的事件序列，依次循环使用；由累计音频、input_audio_buffer.commit
+//                   或 response.create 触发
+//   toolResult      收到 function_call_output 后发送的事件序列；正在回放时收到的，等到 response.create 再发送
+//
+// 事件中可以使用的占位：
+//   "session": "$session"   替换为客户端最近一次 session.update 的 session
+//   { "$tone": 300 }        替换为 300ms 的 24kHz PCM16 正弦波（base64）
+//   "$delay": 100           发送该事件前等待的毫秒数（默认 frameDelayMs）
+//   { "$close": 1011 }      以指定关闭码断开连接
+
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { generateTone } = require('./doubao-mock-server');
+
+const DEFAULT_SCRIPT_FILE = path.join(__dirname, 'fixtures', 'glm-default.json');
+
+// 16kHz PCM16 单声道，1 秒 32000 字节
+const INPUT_BYTES_PER_SECOND = 32000;
+
+function loadScript(file) {
+    return JSON.parse(fs.readFileSync(file || DEFAULT_SCRIPT_FILE, 'utf8'));
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// options:
+//   port          监听端口，0 表示随机端口
+//   script        事件脚本
+//   requireAuth   是否检查 Authorization 请求头（默认 true）
+//   frameDelayMs  连续事件之间的间隔（默认 20ms）
+function createGlmMockServer({
+    port = 3100,
+    script = loadScript(),
+    requireAuth = true,
+    frameDelayMs = 20
+} = {}) {
+    const wss = new WebSocket.Server({
+        port,
+        verifyClient: (info, done) => {
+            if (requireAuth && !info.req.headers['authorization']) {
+                return done(false, 401, 'Unauthorized');
+            }
+            done(true);
+        }
+    });
+
+    let eventCounter = 0;
+
+    wss.on('connection', (ws) => {
+        let session = {};
+        let audioBytes = 0;
+        let turnIndex = 0;
+        let running = false; // 正在回放一轮对话或 toolResult
+        let toolResultPending = false; // 收到了 function_call_output，还没有回放 toolResult
+
+        function resolvePlaceholders(value) {
+            if (value === '$session') return session;
+            if (Array.isArray(value)) return value.map(resolvePlaceholders);
+            if (value && typeof value === 'object') {
+                if (value.$tone !== undefined) {
+                    return generateTone(value.$tone).toString('base64');
+                }
+                const result = {};
+                Object.keys(value).forEach(key => {
+                    if (key !== '$delay') result[key] = resolvePlaceholders(value[key]);
+                });
+                return result;
+            }
+            return value;
+        }
+
+        async function play(events, isTurn = true) {
+            if (isTurn) running = true;
+            for (const event of events || []) {
+                await sleep(event.$delay !== undefined ? event.$delay : frameDelayMs);
+                if (ws.readyState !== WebSocket.OPEN) break;
+                if (event.$close !== undefined) {
+                    ws.close(event.$close, 'mock close');
+                    break;
+                }
+                const message = Object.assign({ event_id: `mock_event_${++eventCounter}` }, resolvePlaceholders(event));
+                ws.send(JSON.stringify(message));
+            }
+            if (isTurn) running = false;
+        }
+
+        function playNextTurn() {
+            const turns = script.turns || [];
+            if (running || turns.length === 0) return;
+            const turn = turns[turnIndex % turns.length];
+            turnIndex++;
+            play(turn);
+        }
+
+        function playToolResult() {
+            if (running) return;
+            toolResultPending = false;
+            play(script.toolResult || []);
+        }
+
+        ws.on('message', (data) => {
+            let msg;
+            try {
+                msg = JSON.parse(data.toString());
+            } catch (e) {
+                ws.send(JSON.stringify({ type: 'error', error: { type: 'invalid_request_error', code: 'invalid_json', message: e.message } }));
+                return;
+            }
+
+            switch (msg.type) {
+                case 'session.update':
+                    session = Object.assign({}, session, msg.session);
+                    play(script.sessionUpdated || [{ type: 'session.updated', session: '$session' }], false);
+                    break;
+
+                case 'input_audio_buffer.append':
+                    audioBytes += Buffer.from(msg.audio || '', 'base64').length;
+                    if (session.turn_detection !== null && audioBytes >= INPUT_BYTES_PER_SECOND * (script.audioSeconds || 2)) {
+                        audioBytes = 0;
+                        playNextTurn();
+                    }
+                    break;
+
+                case 'input_audio_buffer.commit':
+                    audioBytes = 0;
+                    playNextTurn();
+                    break;
+
+                case 'conversation.item.create':
+                    if (msg.item?.type === 'function_call_output') {
+                        toolResultPending = true;
+                        playToolResult();
+                    }
+                    break;
+
+                case 'response.create':
+                    if (toolResultPending) {
+                        playToolResult();
+                    } else {
+                        playNextTurn();
+                    }
+                    break;
+
+                case 'response.cancel':
+                    break;
+            }
+        });
+    });
+
+    return wss;
+}
+
+if (require.main === module) {
+    const port = Number(process.env.GLM_MOCK_PORT) || 3100;
+    const scriptFile = process.env.GLM_MOCK_SCRIPT;
+    const wss = createGlmMockServer({ port, script: loadScript(scriptFile) });
+    wss.on('listening', () => {
+        console.log(`🧪 GLM 模拟服务器运行在 ws://localhost:${port}`);
+        console.log(`   脚本: ${scriptFile || DEFAULT_SCRIPT_FILE}`);
+        console.log(`   代理使用: GLM_URL=ws://localhost:${port} npm start`);
+    });
+}
+
+module.exports = {
+    createGlmMockServer,
+    loadScript
+};
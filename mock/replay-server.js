@@ -0,0 +1,122 @@
+// 会话回放服务器：把 RECORD_DIR 录制的会话当作上游重新播放给代理
+// 用于复现用户反馈的问题，而不必再次调用真实服务
+//
+// 运行：npm run replay -- recordings/glm-xxx.jsonl
+// 代理指向回放服务器：GLM_URL=ws://localhost:3102 npm start（豆包使用 DOUBAO_URL）
+//
+// 回放是确定性的：每个上游帧都要等代理发来的帧数达到录制时该帧之前的数量才发送，
+// 再按录制时的时间间隔（除以 speed）等待，因此相同的客户端输入总是得到相同的输出顺序
+//
+// 环境变量：
+//   REPLAY_PORT   端口（默认 3102）
+//   REPLAY_SPEED  回放速度倍数（默认 1，0 表示不等待时间间隔）
+
+const WebSocket = require('ws');
+const { loadRecording } = require('../lib/session-recorder');
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// 把录制的帧整理为回放步骤：每个上游帧记录它之前代理发出的帧数
+function buildSteps(frames) {
+    const steps = [];
+    let clientFrames = 0;
+    let lastTime = 0;
+    frames.forEach(frame => {
+        if (frame.dir === 'client') {
+            clientFrames++;
+            return;
+        }
+        steps.push({ frame, waitForClientFrames: clientFrames, delay: Math.max(0, frame.t - lastTime) });
+        lastTime = frame.t;
+    });
+    return steps;
+}
+
+// options:
+//   port       监听端口，0 表示随机端口
+//   file       录制文件路径（或直接传入 recording: { header, frames }）
+//   speed      回放速度倍数，0 表示不等待时间间隔（默认 1）
+function createReplayServer({ port = 3102, file, recording, speed = 1 } = {}) {
+    const { header, frames } = recording || loadRecording(file);
+    const steps = buildSteps(frames);
+    const wss = new WebSocket.Server({ port });
+
+    wss.on('connection', (ws) => {
+        let clientFrames = 0;
+        let waiting = null;
+
+        console.log(`▶️ 开始回放 ${header.provider} 会话（${steps.length} 个上游帧）`);
+
+        function waitForClient(count) {
+            if (clientFrames >= count) return Promise.resolve();
+            return new Promise(resolve => {
+                waiting = { count, resolve };
+            });
+        }
+
+        ws.on('message', () => {
+            clientFrames++;
+            if (waiting && clientFrames >= waiting.count) {
+                const { resolve } = waiting;
+                waiting = null;
+                resolve();
+            }
+        });
+
+        ws.on('close', () => {
+            if (waiting) {
+                const { resolve } = waiting;
+                waiting = null;
+                resolve();
+            }
+        });
+
+        (async () => {
+            for (const { frame, waitForClientFrames, delay } of steps) {
+                await waitForClient(waitForClientFrames);
+                if (speed > 0 && delay > 0) {
+                    await sleep(delay / speed);
+                }
+                if (ws.readyState !== WebSocket.OPEN) return;
+
+                if (frame.close !== undefined) {
+                    // 1005/1006 不能主动发送，按正常关闭处理
+                    const code = frame.close === 1005 || frame.close === 1006 ? 1000 : frame.close;
+                    ws.close(code, frame.reason);
+                    return;
+                }
+                if (frame.binary !== undefined) {
+                    ws.send(Buffer.from(frame.binary, 'base64'), { binary: true });
+                } else {
+                    ws.send(frame.text);
+                }
+            }
+            console.log('⏹️ 回放结束');
+        })();
+    });
+
+    return wss;
+}
+
+if (require.main === module) {
+    const file = process.argv[2];
+    if (!file) {
+        console.error('用法: npm run replay -- <录制文件>');
+        process.exit(1);
+    }
+    const port = Number(process.env.REPLAY_PORT) || 3102;
+    const speed = process.env.REPLAY_SPEED !== undefined ? Number(process.env.REPLAY_SPEED) : 1;
+    const wss = createReplayServer({ port, file, speed });
+    wss.on('listening', () => {
+        console.log(`🧪 回放服务器运行在 ws://localhost:${port}`);
+        console.log(`   录制文件: ${file}`);
+        console.log(`   代理使用: GLM_URL=ws://localhost:${port} 或 DOUBAO_URL=ws://localhost:${port}`);
+    });
+}
+
+module.exports = {
+    createReplayServer,
+    buildSteps
+};
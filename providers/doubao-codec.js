@@ -0,0 +1,360 @@
+// 豆包实时语音二进制协议编解码
+//
+// 帧结构（所有整数均为大端序）：
+//   header            4 * headerSize 字节
+//     byte 0          协议版本 (4 bits) | header 大小 (4 bits，单位 4 字节)
+//     byte 1          消息类型 (4 bits) | 消息类型标志 (4 bits)
+//     byte 2          序列化方式 (4 bits) | 压缩方式 (4 bits)
+//     byte 3          保留
+//     byte 4..        header 扩展（headerSize > 1 时）
+//   [error code]      uint32，仅 ERROR_INFO
+//   [sequence]        int32，标志位含 0b0001 时
+//   [event]           uint32，标志位含 0b0100 时
+//   [id size + id]    int32 + utf8，服务端响应总是携带；客户端请求在非连接级事件中携带
+//   payload size      uint32
+//   payload
+
+const zlib = require('zlib');
+
+const PROTOCOL_VERSION = 0b0001;
+const DEFAULT_HEADER_SIZE = 0b0001;
+
+// 消息类型定义
+const MESSAGE_TYPES = {
+    FULL_CLIENT_REQUEST: 0b0001,
+    AUDIO_ONLY_REQUEST: 0b0010,
+    FULL_SERVER_RESPONSE: 0b1001,
+    SERVER_ACK: 0b1011,
+    AUDIO_ONLY_RESPONSE: 0b1011,
+    ERROR_INFO: 0b1111
+};
+
+// 消息类型标志
+const MESSAGE_FLAGS = {
+    NO_SEQUENCE: 0b0000,
+    POS_SEQUENCE: 0b0001,       // 带序号（非最后一包）
+    NEG_SEQUENCE: 0b0010,       // 最后一包，不带序号
+    NEG_WITH_SEQUENCE: 0b0011,  // 最后一包，带负序号
+    WITH_EVENT: 0b0100
+};
+
+const SERIALIZATION = {
+    NONE: 0b0000,
+    JSON: 0b0001,
+    THRIFT: 0b0011,
+    CUSTOM: 0b1111
+};
+
+const COMPRESSION = {
+    NONE: 0b0000,
+    GZIP: 0b0001,
+    CUSTOM: 0b1111
+};
+
+// 事件 ID 定义
+const EVENT_IDS = {
+    // 客户端事件
+    START_CONNECTION: 1,
+    FINISH_CONNECTION: 2,
+    START_SESSION: 100,
+    FINISH_SESSION: 102,
+    TASK_REQUEST: 200,
+    SAY_HELLO: 300,
+    END_ASR: 400,          // push_to_talk 模式下结束本轮语音输入
+    CHAT_TTS_TEXT: 500,
+    CHAT_TEXT_QUERY: 501,
+    CLIENT_INTERRUPT: 515, // 打断正在进行的回复，服务端停止下发这一轮的文字和语音
+    // 服务端事件
+    CONNECTION_STARTED: 50,
+    CONNECTION_FAILED: 51,
+    CONNECTION_FINISHED: 52,
+    SESSION_STARTED: 150,
+    SESSION_FINISHED: 152,
+    SESSION_FAILED: 153,
+    USAGE_RESPONSE: 154,
+    TTS_SENTENCE_START: 350,
+    TTS_SENTENCE_END: 351,
+    TTS_RESPONSE: 352,
+    TTS_ENDED: 359,
+    ASR_INFO: 450,
+    ASR_RESPONSE: 451,
+    ASR_ENDED: 459,
+    CHAT_RESPONSE: 550,
+    CHAT_ENDED: 559
+};
+
+// 连接级事件不携带 session id（服务端的连接级事件携带的是 connect id）
+const CLIENT_CONNECTION_EVENTS = [EVENT_IDS.START_CONNECTION, EVENT_IDS.FINISH_CONNECTION];
+const SERVER_CONNECTION_EVENTS = [EVENT_IDS.CONNECTION_STARTED, EVENT_IDS.CONNECTION_FAILED, EVENT_IDS.CONNECTION_FINISHED];
+
+function isServerMessage(messageType) {
+    return (messageType & 0b1000) !== 0;
+}
+
+// 序号字段只在 POS_SEQUENCE(0b0001) 和 NEG_WITH_SEQUENCE(0b0011) 时存在；NEG_SEQUENCE(0b0010) 表示最后一包但不带序号，
+// 不能按 0b0010 判断，否则会把最后一包的 event / ID 字段误读成序号
+function hasSequence(flags) {
+    return (flags & MESSAGE_FLAGS.POS_SEQUENCE) !== 0;
+}
+
+function hasEvent(flags) {
+    return (flags & MESSAGE_FLAGS.WITH_EVENT) !== 0;
+}
+
+// 服务端响应总是携带 ID 字段（可能为空），客户端请求仅在会话级事件中携带
+function carriesId(messageType, eventId) {
+    if (isServerMessage(messageType)) {
+        return messageType !== MESSAGE_TYPES.ERROR_INFO || eventId !== null;
+    }
+    return eventId !== null && !CLIENT_CONNECTION_EVENTS.includes(eventId);
+}
+
+// 根据序号和事件推导标志位
+function buildFlags({ sequence, eventId, last }) {
+    let flags = MESSAGE_FLAGS.NO_SEQUENCE;
+    if (sequence !== null) {
+        flags = sequence < 0 || last ? MESSAGE_FLAGS.NEG_WITH_SEQUENCE : MESSAGE_FLAGS.POS_SEQUENCE;
+    } else if (last) {
+        flags = MESSAGE_FLAGS.NEG_SEQUENCE;
+    }
+    if (eventId !== null) {
+        flags |= MESSAGE_FLAGS.WITH_EVENT;
+    }
+    return flags;
+}
+
+function uint32(value) {
+    const buf = Buffer.alloc(4);
+    buf.writeUInt32BE(value);
+    return buf;
+}
+
+function int32(value) {
+    const buf = Buffer.alloc(4);
+    buf.writeInt32BE(value);
+    return buf;
+}
+
+// 编码豆包二进制协议消息
+// options:
+//   messageType     MESSAGE_TYPES 之一
+//   payload         对象（JSON 序列化）或 Buffer（不序列化）
+//   eventId         事件 ID，null 表示不携带
+//   sessionId       会话 ID（服务端连接级事件为 connect id），需要 ID 字段但未传时写入空 ID
+//   sequence        序号，null 表示不携带
+//   last            是否最后一包
+//   errorCode       错误码，仅 ERROR_INFO
+//   flags           显式指定标志位，默认根据 sequence/eventId/last 推导
+//   serialization   默认 Buffer 为 NONE，其他为 JSON
+//   compression     默认 GZIP
+//   headerExtensions header 扩展字节，长度需为 4 的倍数
+function encodeMessage({
+    messageType,
+    payload = {},
+    eventId = null,
+    sessionId = null,
+    sequence = null,
+    last = false,
+    errorCode = null,
+    flags = null,
+    serialization = null,
+    compression = COMPRESSION.GZIP,
+    headerExtensions = null
+}) {
+    const extensions = headerExtensions || Buffer.alloc(0);
+    if (extensions.length % 4 !== 0) {
+        throw new Error('header 扩展长度必须是 4 的倍数');
+    }
+    const headerSize = DEFAULT_HEADER_SIZE + extensions.length / 4;
+    const messageFlags = flags !== null ? flags : buildFlags({ sequence, eventId, last });
+    const serializationMethod = serialization !== null
+        ? serialization
+        : (Buffer.isBuffer(payload) ? SERIALIZATION.NONE : SERIALIZATION.JSON);
+
+    const header = Buffer.from([
+        (PROTOCOL_VERSION << 4) | headerSize,
+        (messageType << 4) | messageFlags,
+        (serializationMethod << 4) | compression,
+        0x00
+    ]);
+    const parts = [header, extensions];
+
+    if (messageType === MESSAGE_TYPES.ERROR_INFO) {
+        parts.push(uint32(errorCode || 0));
+    }
+    if (hasSequence(messageFlags)) {
+        parts.push(int32(sequence || 0));
+    }
+    if (hasEvent(messageFlags)) {
+        parts.push(uint32(eventId || 0));
+    }
+    if (carriesId(messageType, hasEvent(messageFlags) ? (eventId || 0) : null)) {
+        const idBuf = Buffer.from(sessionId || '', 'utf8');
+        parts.push(int32(idBuf.length));
+        parts.push(idBuf);
+    }
+
+    let payloadBuf;
+    if (Buffer.isBuffer(payload)) {
+        payloadBuf = payload;
+    } else if (serializationMethod === SERIALIZATION.JSON) {
+        payloadBuf = Buffer.from(JSON.stringify(payload), 'utf8');
+    } else {
+        payloadBuf = Buffer.from(String(payload), 'utf8');
+    }
+    if (compression === COMPRESSION.GZIP) {
+        payloadBuf = zlib.gzipSync(payloadBuf);
+    }
+
+    parts.push(uint32(payloadBuf.length));
+    parts.push(payloadBuf);
+    return Buffer.concat(parts);
+}
+
+// 解压缩并反序列化 payload，失败时保留原始数据并记录 decodeError
+function parsePayload(rawPayload, compressionType, serializationMethod) {
+    let data = rawPayload;
+    let decodeError = null;
+
+    if (compressionType === COMPRESSION.GZIP && data.length > 0) {
+        try {
+            data = zlib.gunzipSync(data);
+        } catch (e) {
+            decodeError = 'GZIP 解压缩失败: ' + e.message;
+        }
+    }
+
+    if (serializationMethod === SERIALIZATION.NONE) {
+        return { payload: data, decodeError };
+    }
+
+    const text = data.toString('utf8');
+    if (serializationMethod === SERIALIZATION.JSON) {
+        try {
+            return { payload: JSON.parse(text), decodeError };
+        } catch (e) {
+            // 不是有效的 JSON，作为字符串返回
+            return { payload: text, decodeError: decodeError || 'JSON 解析失败: ' + e.message };
+        }
+    }
+    return { payload: text, decodeError };
+}
+
+// 解码豆包二进制协议消息，帧不完整时返回 null
+function decodeMessage(buffer) {
+    if (!Buffer.isBuffer(buffer)) buffer = Buffer.from(buffer);
+    if (buffer.length < 4) return null;
+
+    const protocolVersion = (buffer[0] >> 4) & 0x0F;
+    const headerSize = buffer[0] & 0x0F;
+    const messageType = (buffer[1] >> 4) & 0x0F;
+    const flags = buffer[1] & 0x0F;
+    const serializationMethod = (buffer[2] >> 4) & 0x0F;
+    const compressionType = buffer[2] & 0x0F;
+    const reserved = buffer[3];
+
+    let offset = headerSize * 4;
+    if (headerSize < 1 || buffer.length < offset) return null;
+    const headerExtensions = buffer.slice(4, offset);
+
+    const need = (size) => offset + size <= buffer.length;
+
+    let errorCode = null;
+    let sequence = null;
+    let eventId = null;
+    let sessionId = null;
+    let connectId = null;
+
+    if (messageType === MESSAGE_TYPES.ERROR_INFO) {
+        if (!need(4)) return null;
+        errorCode = buffer.readUInt32BE(offset);
+        offset += 4;
+    }
+
+    if (hasSequence(flags)) {
+        if (!need(4)) return null;
+        sequence = buffer.readInt32BE(offset);
+        offset += 4;
+    }
+
+    if (hasEvent(flags)) {
+        if (!need(4)) return null;
+        eventId = buffer.readUInt32BE(offset);
+        offset += 4;
+    }
+
+    const server = isServerMessage(messageType);
+    if (carriesId(messageType, eventId)) {
+        if (!need(4)) return null;
+        const idSize = buffer.readInt32BE(offset);  // **signed**
+        offset += 4;
+        if (idSize > 0) {
+            if (!need(idSize)) return null;
+            const id = buffer.slice(offset, offset + idSize).toString('utf8');
+            offset += idSize;
+            if (server && SERVER_CONNECTION_EVENTS.includes(eventId)) {
+                connectId = id;
+            } else {
+                sessionId = id;
+            }
+        }
+    }
+
+    if (!need(4)) return null;
+    const payloadSize = buffer.readUInt32BE(offset);
+    offset += 4;
+    if (!need(payloadSize)) return null;
+    const rawPayload = buffer.slice(offset, offset + payloadSize);
+
+    const { payload, decodeError } = rawPayload.length > 0
+        ? parsePayload(rawPayload, compressionType, serializationMethod)
+        : { payload: null, decodeError: null };
+
+    return {
+        protocolVersion,
+        headerSize,
+        headerExtensions,
+        messageType,
+        flags,
+        serializationMethod,
+        compressionType,
+        reserved,
+        errorCode,
+        sequence,
+        eventId,
+        sessionId,
+        connectId,
+        payload,
+        rawPayload,
+        decodeError
+    };
+}
+
+// 便于日志输出的名称
+function messageTypeName(messageType) {
+    switch (messageType) {
+        case MESSAGE_TYPES.FULL_CLIENT_REQUEST: return 'FULL_CLIENT_REQUEST';
+        case MESSAGE_TYPES.AUDIO_ONLY_REQUEST: return 'AUDIO_ONLY_REQUEST';
+        case MESSAGE_TYPES.FULL_SERVER_RESPONSE: return 'FULL_SERVER_RESPONSE';
+        case MESSAGE_TYPES.SERVER_ACK: return 'SERVER_ACK';
+        case MESSAGE_TYPES.ERROR_INFO: return 'ERROR_INFO';
+        default: return 'OTHER';
+    }
+}
+
+function eventName(eventId) {
+    const entry = Object.entries(EVENT_IDS).find(([, id]) => id === eventId);
+    return entry ? entry[0] : null;
+}
+
+module.exports = {
+    MESSAGE_TYPES,
+    MESSAGE_FLAGS,
+    SERIALIZATION,
+    COMPRESSION,
+    EVENT_IDS,
+    encodeMessage,
+    decodeMessage,
+    messageTypeName,
+    eventName
+};
@@ -0,0 +1,132 @@
+// 豆包代理消息与通用客户端协议之间的事件翻译
+// 通用事件先转换为豆包代理原有的 JSON 消息/二进制音频，再由适配器映射到 EVENT_IDS
+
+const {
+    CLIENT_EVENTS,
+    SERVER_EVENTS,
+    toAudioBuffer,
+    unsupportedEvent
+} = require('../lib/realtime-protocol');
+
+function doubaoMessage(data) {
+    return { data, isBinary: false };
+}
+
+function createTranslator({ sendToClient }) {
+    // 豆包一轮回复没有单独的开始事件，收到第一段 chat_response 时补发 response.started
+    let currentReplyId = null;
+    let replyText = '';
+    let replyCancelled = false; // 客户端打断了当前回复，结束时 status 为 cancelled
+
+    function toProvider(event) {
+        switch (event.type) {
+            case CLIENT_EVENTS.SESSION_START:
+                return [doubaoMessage({
+                    type: 'start_session',
+                    sessionId: event.session_id,
+                    systemMessage: event.instructions,
+                    model: event.model,
+                    dialogContext: event.context,
+                    // turn_detection 为 null 时与 GLM 一致：关闭服务端检测，由客户端发送 input_audio.commit
+                    inputMode: event.turn_detection === null ? 'push_to_talk' : undefined
+                })];
+
+            case CLIENT_EVENTS.INPUT_AUDIO_APPEND:
+                return [{ data: toAudioBuffer(event.audio), isBinary: true }];
+
+            case CLIENT_EVENTS.INPUT_AUDIO_COMMIT:
+                return [doubaoMessage({ type: 'end_asr' })];
+
+            // 豆包在语音输入结束后自动回复，与 GLM 相同的 commit + response.create 流程不需要再做什么
+            case CLIENT_EVENTS.RESPONSE_CREATE:
+                return [];
+
+            // 打断当前回复：发送 ClientInterrupt，服务端停止下发文字和语音
+            case CLIENT_EVENTS.RESPONSE_CANCEL:
+                if (currentReplyId !== null) replyCancelled = true;
+                return [doubaoMessage({ type: 'interrupt' })];
+
+            case CLIENT_EVENTS.INPUT_TEXT:
+                return [doubaoMessage({ type: 'text_input', text: event.text || '' })];
+
+            case CLIENT_EVENTS.SESSION_END:
+                return [doubaoMessage({ type: 'finish_session' })];
+
+            default:
+                return unsupportedEvent(sendToClient, '豆包', event);
+        }
+    }
+
+    function finishReply() {
+        const events = [
+            { type: SERVER_EVENTS.RESPONSE_TEXT_DONE, response_id: currentReplyId, text: replyText },
+            { type: SERVER_EVENTS.RESPONSE_DONE, response_id: currentReplyId, status: replyCancelled ? 'cancelled' : 'completed' }
+        ];
+        currentReplyId = null;
+        replyText = '';
+        replyCancelled = false;
+        return events;
+    }
+
+    function fromProvider(data, isBinary) {
+        if (isBinary) {
+            return [{ type: SERVER_EVENTS.RESPONSE_AUDIO_DELTA, response_id: currentReplyId, audio: Buffer.from(data).toString('base64'), sample_rate: 24000 }];
+        }
+
+        let msg;
+        try {
+            msg = JSON.parse(data.toString());
+        } catch (e) {
+            return [];
+        }
+
+        switch (msg.type) {
+            case 'session_started':
+                return [{ type: SERVER_EVENTS.SESSION_STARTED, provider: 'doubao', session_id: msg.session_id, dialog_id: msg.dialog_id }];
+
+            case 'speech_started':
+                return [{ type: SERVER_EVENTS.SPEECH_STARTED, item_id: msg.question_id }];
+
+            case 'speech_ended':
+                return [{ type: SERVER_EVENTS.SPEECH_STOPPED }];
+
+            case 'asr_response': {
+                const results = msg.results || [];
+                if (results.length === 0) return [];
+                return [{
+                    type: SERVER_EVENTS.TRANSCRIPT_USER,
+                    text: results.map(r => r.text).join(' '),
+                    final: results.every(r => !r.is_interim)
+                }];
+            }
+
+            case 'chat_response': {
+                const events = [];
+                if (currentReplyId === null) {
+                    currentReplyId = msg.reply_id || `reply_${Date.now()}`;
+                    events.push({ type: SERVER_EVENTS.RESPONSE_STARTED, response_id: currentReplyId });
+                }
+                if (msg.content) {
+                    replyText += msg.content;
+                    events.push({ type: SERVER_EVENTS.RESPONSE_TEXT_DELTA, response_id: currentReplyId, delta: msg.content });
+                }
+                return events;
+            }
+
+            case 'chat_ended':
+                return finishReply();
+
+            case 'error':
+                return [{ type: SERVER_EVENTS.ERROR, code: msg.code || 'upstream_error', message: msg.error || '未知错误' }];
+
+            default:
+                return [];
+        }
+    }
+
+    return { toProvider, fromProvider };
+}
+
+module.exports = {
+    createTranslator
+};
@@ -0,0 +1,693 @@
+// 豆包实时语音模型代理适配器
+// 浏览器 WebSocket 无法设置自定义请求头，由代理在服务器端完成鉴权并转换二进制协议
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { logger } = require('../lib/logger');
+const { metrics, countFrame } = require('../lib/metrics');
+const { recordUpstream } = require('../lib/session-recorder');
+const { pcmDurationMs } = require('../lib/usage');
+const { createTranslator } = require('./doubao-protocol');
+const { MESSAGE_TYPES, EVENT_IDS, encodeMessage, decodeMessage, messageTypeName, eventName } = require('./doubao-codec');
+const zlib = require('zlib');
+
+const DEFAULT_TARGET_URL = 'wss://openspeech.bytedance.com/api/v3/realtime/dialogue';
+// 继续以前的会话时最多带入的对话条数
+const MAX_DIALOG_CONTEXT = 20;
+
+// DOUBAO_URL 可指向本地模拟服务器（mock/doubao-mock-server.js）
+function getTargetUrl() {
+    return process.env.DOUBAO_URL || DEFAULT_TARGET_URL;
+}
+
+function getCredentials() {
+    return {
+        appId: process.env.DOUBAO_APP_ID,
+        accessKey: process.env.DOUBAO_ACCESS_KEY,
+        secretKey: process.env.DOUBAO_SECRET_KEY
+    };
+}
+
+// 检查配置，返回错误信息列表
+function checkConfig() {
+    const missing = [];
+    if (!process.env.DOUBAO_APP_ID) missing.push('DOUBAO_APP_ID');
+    if (!process.env.DOUBAO_ACCESS_KEY) missing.push('DOUBAO_ACCESS_KEY');
+    if (!process.env.DOUBAO_SECRET_KEY) missing.push('DOUBAO_SECRET_KEY');
+    if (missing.length > 0) {
+        return ['未配置豆包 API Key，请在 .env 文件中设置: ' + missing.join(', ')];
+    }
+    return [];
+}
+
+function describeConfig() {
+    const target = getTargetUrl() === DEFAULT_TARGET_URL ? '' : `，上游: ${getTargetUrl()}`;
+    return '豆包 App ID: ' + getCredentials().appId + target;
+}
+
+// 取出 TTS 音频：payload 已是 Buffer 时直接使用，否则使用 rawPayload（GZIP 压缩时先解压）
+function extractAudio(decoded, log) {
+    if (Buffer.isBuffer(decoded.payload)) {
+        return decoded.payload;
+    }
+    if (!Buffer.isBuffer(decoded.rawPayload)) {
+        return null;
+    }
+    if (decoded.compressionType === 0b0001) {  // GZIP
+        try {
+            return zlib.gunzipSync(decoded.rawPayload);
+        } catch (gzipError) {
+            log.warn('tts audio gunzip failed', { err: gzipError });
+        }
+    }
+    return decoded.rawPayload;
+}
+
+// start_session 的 dialogContext：[{ role: user / assistant, text }]，转换为 StartSession 的 dialog.dialog_context
+// 只保留有文字的用户和 AI 发言中最近的 MAX_DIALOG_CONTEXT 条，时间戳按顺序往前排
+function normalizeDialogContext(context) {
+    if (!Array.isArray(context)) return [];
+    const items = context
+        .filter(item => item && (item.role === 'user' || item.role === 'assistant') &&
+            typeof item.text === 'string' && item.text.trim())
+        .slice(-MAX_DIALOG_CONTEXT);
+    const now = Date.now();
+    return items.map((item, i) => ({
+        role: item.role,
+        text: item.text,
+        timestamp: now - (items.length - i) * 1000
+    }));
+}
+
+// 服务器消息的事件名称，用于日志和指标
+function upstreamEventName(decoded) {
+    return eventName(decoded.eventId) || messageTypeName(decoded.messageType);
+}
+
+function handleConnection(clientWs, req) {
+    const log = req.log || logger.child({ provider: 'doubao' });
+    
+    // 连接 ID 与日志中的 conn 字段一致，便于对照豆包服务端日志排查问题
+    const connectId = req.connId || crypto.randomUUID();
+    const targetUrl = getTargetUrl();
+    const credentials = getCredentials();
+    
+    // 使用基本的请求头（不包含签名，先测试）
+    const headers = {
+        'X-Api-App-ID': credentials.appId,
+        'X-Api-Access-Key': credentials.accessKey,
+        'X-Api-Resource-Id': 'volc.speech.dialog',
+        'X-Api-App-Key': 'PlgvMymc7f3tQnJ6',
+        'X-Api-Connect-Id': connectId
+    };
+    
+    log.debug('connecting upstream', { target: targetUrl, connect_id: connectId });
+    
+    const endConnectTimer = metrics.upstreamConnectSeconds.startTimer({ provider: 'doubao' });
+    const serverWs = new WebSocket(targetUrl, { headers });
+    recordUpstream(serverWs, { provider: 'doubao', url: req.url, target: targetUrl, log });
+    
+    let messageQueue = [];
+    let sessionId = null;
+    let connectionEstablished = false;
+    let upstreamOpened = false;
+    let currentSystemMessage = null;
+    let currentModel = null;
+    let pendingSystemMessage = null;
+    let pendingModel = null;
+    let pendingDialogContext = [];
+    let inputMode = 'audio';  // push_to_talk 时由客户端发送 end_asr 结束每轮语音
+    let responseTimeout = null;
+    
+    function sendStartConnection() {
+        if (serverWs.readyState !== WebSocket.OPEN) {
+            log.error('cannot send StartConnection, upstream not open', { ready_state: serverWs.readyState });
+            return;
+        }
+        
+        const msg = encodeMessage({
+            messageType: MESSAGE_TYPES.FULL_CLIENT_REQUEST,
+            payload: {},
+            eventId: EVENT_IDS.START_CONNECTION
+        });
+        
+        log.debug('send StartConnection');
+        try {
+            serverWs.send(msg);
+        } catch (error) {
+            log.error('send StartConnection failed', { err: error });
+        }
+    }
+    
+    function sendStartSession(systemMessage, model = 'O2.0', dialogContext = []) {
+        const sessionConfig = {
+            asr: {
+                extra: {
+                    end_smooth_window_ms: 1500,
+                    enable_custom_vad: false,
+                    enable_asr_twopass: false
+                }
+            },
+            tts: {
+                speaker: 'zh_female_vv_jupiter_bigtts', // 切换到标准女声测试
+                audio_config: {
+                    channel: 1,
+                    format: 'pcm_s16le', // 明确指定 PCM 格式
+                    sample_rate: 24000
+                }
+            },
+            dialog: {
+                model: model, // 注入模型版本
+                bot_name: '豆包',
+                system_role: systemMessage,
+                instructions: systemMessage, // 同时发送 instructions 以防万一
+                speaking_style: '',
+                dialog_id: '',
+                extra: {
+                    strict_audit: false,
+                    input_mod: inputMode, // 'audio' 由服务端检测说话结束，'push_to_talk' 由客户端发送 EndASR
+                    recv_timeout: 10
+                }
+            }
+        };
+        if (dialogContext.length > 0) {
+            sessionConfig.dialog.dialog_context = dialogContext;
+        }
+        
+        const msg = encodeMessage({
+            messageType: MESSAGE_TYPES.FULL_CLIENT_REQUEST,
+            payload: sessionConfig,
+            eventId: EVENT_IDS.START_SESSION,
+            sessionId: sessionId
+        });
+        
+        log.debug('send StartSession', { session_id: sessionId, model, input_mod: inputMode, context_items: dialogContext.length });
+        serverWs.send(msg);
+    }
+
+    function sendTextTaskRequest(text) {
+        if (!sessionId) return;
+        
+        // 尝试多种可能的字段名以提高兼容性
+        const payload = {
+            text: text,
+            input_text: text,
+            input_mod: 'text',
+            input_mode: 'text'
+        };
+        
+        const msg = encodeMessage({
+            messageType: MESSAGE_TYPES.FULL_CLIENT_REQUEST,
+            payload: payload,
+            eventId: EVENT_IDS.TASK_REQUEST,
+            sessionId: sessionId
+        });
+        
+        log.debug('send text TaskRequest');
+        serverWs.send(msg);
+    }
+
+    function sendTaskRequest(audioData, isLast = false) {
+        if (!sessionId) return;
+        
+        // 确保是 Buffer
+        const audioBuffer = Buffer.isBuffer(audioData) ? audioData : Buffer.from(audioData);
+        
+        const msg = encodeMessage({
+            messageType: MESSAGE_TYPES.AUDIO_ONLY_REQUEST,
+            payload: audioBuffer,
+            eventId: EVENT_IDS.TASK_REQUEST,
+            sessionId: sessionId
+        });
+        
+        serverWs.send(msg);
+    }
+
+    // push_to_talk 模式下用户松开按键，本轮语音输入结束
+    function sendEndAsr() {
+        if (!sessionId) return;
+        const msg = encodeMessage({
+            messageType: MESSAGE_TYPES.FULL_CLIENT_REQUEST,
+            payload: {},
+            eventId: EVENT_IDS.END_ASR,
+            sessionId: sessionId
+        });
+        log.debug('send EndASR');
+        serverWs.send(msg);
+    }
+
+    // 用户打断 AI 回复（按住说话时按下按键等客户端判断的打断），让服务端停止这一轮回复
+    function sendClientInterrupt() {
+        if (!sessionId) return;
+        const msg = encodeMessage({
+            messageType: MESSAGE_TYPES.FULL_CLIENT_REQUEST,
+            payload: {},
+            eventId: EVENT_IDS.CLIENT_INTERRUPT,
+            sessionId: sessionId
+        });
+        log.debug('send ClientInterrupt');
+        serverWs.send(msg);
+    }
+
+    function sendFinishSession() {
+        const msg = encodeMessage({
+            messageType: MESSAGE_TYPES.FULL_CLIENT_REQUEST,
+            payload: {},
+            eventId: EVENT_IDS.FINISH_SESSION,
+            sessionId: sessionId
+        });
+        log.debug('send FinishSession');
+        serverWs.send(msg);
+    }
+    
+    function sendFinishConnection() {
+        const msg = encodeMessage({
+            messageType: MESSAGE_TYPES.FULL_CLIENT_REQUEST,
+            payload: {},
+            eventId: EVENT_IDS.FINISH_CONNECTION
+        });
+        log.debug('send FinishConnection');
+        serverWs.send(msg);
+    }
+    
+    function sendAudioToClient(audioData) {
+        if (!audioData || audioData.length === 0) {
+            log.debug('empty tts audio');
+            return;
+        }
+        if (clientWs.readyState === WebSocket.OPEN) {
+            clientWs.send(audioData, { binary: true });
+        }
+    }
+    
+    clientWs.on('message', (data, isBinary) => {
+        if (isBinary) {
+            countFrame('doubao', 'client', 'audio');
+            // 二进制音频数据
+            if (serverWs.readyState === WebSocket.OPEN && sessionId) {
+                sendTaskRequest(data, false);
+            } else if (serverWs.readyState === WebSocket.OPEN && !sessionId) {
+                // 会话还未启动，缓存音频数据
+                if (!messageQueue.some(item => item.type === 'audio')) {
+                    log.debug('session not started, queueing audio', { connection_established: connectionEstablished });
+                }
+                messageQueue.push({ type: 'audio', data });
+            } else if (serverWs.readyState === WebSocket.CONNECTING) {
+                messageQueue.push({ type: 'audio', data });
+            } else {
+                log.warn('upstream not connected, dropping audio', { ready_state: serverWs.readyState });
+            }
+        } else {
+            try {
+                const msg = JSON.parse(data.toString());
+                countFrame('doubao', 'client', msg.type);
+                
+                if (msg.type === 'start_session') {
+                    sessionId = msg.sessionId || `session_${Date.now()}`;
+                    pendingSystemMessage = msg.systemMessage || '你是一个友好的AI助手';
+                    pendingModel = msg.model || 'O2.0';
+                    pendingDialogContext = normalizeDialogContext(msg.dialogContext);
+                    inputMode = msg.inputMode === 'push_to_talk' ? 'push_to_talk' : 'audio';
+                    log.info('client start_session', {
+                        session_id: sessionId,
+                        model: pendingModel,
+                        input_mod: inputMode,
+                        context_items: pendingDialogContext.length
+                    });
+                    
+                    // 记录当前会话的配置
+                    currentSystemMessage = pendingSystemMessage;
+                    currentModel = pendingModel;
+                    
+                    if (serverWs.readyState === WebSocket.OPEN && connectionEstablished) {
+                        sendStartSession(pendingSystemMessage, pendingModel, pendingDialogContext);
+                        pendingSystemMessage = null;
+                        pendingModel = null;
+                        pendingDialogContext = [];
+                    } else if (serverWs.readyState === WebSocket.OPEN) {
+                        log.debug('waiting for ConnectionStarted, queueing start_session');
+                        messageQueue.push({
+                            type: 'session',
+                            sessionId,
+                            systemMessage: pendingSystemMessage,
+                            model: pendingModel,
+                            dialogContext: pendingDialogContext
+                        });
+                    } else {
+                        // 上游连接中，ConnectionStarted 时用 pendingSystemMessage 启动会话
+                        log.debug('upstream not open yet, start_session deferred', { ready_state: serverWs.readyState });
+                    }
+                } else if (msg.type === 'audio_data') {
+                    // 音频数据 (base64 格式，旧版兼容)
+                    if (serverWs.readyState === WebSocket.OPEN && sessionId) {
+                        const audioBuffer = Buffer.from(msg.data, 'base64');
+                        sendTaskRequest(audioBuffer, msg.isLast || false);
+                    } else if (serverWs.readyState === WebSocket.CONNECTING) {
+                        messageQueue.push({ type: 'audio_base64', data: msg.data, isLast: msg.isLast });
+                    }
+                } else if (msg.type === 'end_asr') {
+                    if (serverWs.readyState === WebSocket.OPEN) {
+                        sendEndAsr();
+                    }
+                } else if (msg.type === 'interrupt') {
+                    if (serverWs.readyState === WebSocket.OPEN) {
+                        sendClientInterrupt();
+                    }
+                } else if (msg.type === 'finish_session') {
+                    sendFinishSession();
+                } else if (msg.type === 'finish_connection') {
+                    sendFinishConnection();
+                } else if (msg.type === 'text_input') {
+                    sendTextTaskRequest(msg.text);
+                }
+            } catch (e) {
+                countFrame('doubao', 'client', 'invalid');
+                log.warn('invalid client message', { err: e });
+            }
+        }
+    });
+    
+    serverWs.on('message', (data) => {
+        const decoded = decodeMessage(Buffer.from(data));
+        
+        if (!decoded) {
+            countFrame('doubao', 'upstream', 'invalid');
+            log.warn('cannot decode upstream message', { bytes: data.length });
+            return;
+        }
+        
+        const event = upstreamEventName(decoded);
+        countFrame('doubao', 'upstream', event);
+        
+        if (decoded.decodeError) {
+            log.warn('upstream payload decode failed, using raw payload', { event, error: decoded.decodeError });
+        }
+        
+        // 处理错误消息（ERROR_INFO 类型的消息）
+        if (decoded.messageType === MESSAGE_TYPES.ERROR_INFO) {
+            let errorMessage = '未知错误';
+            
+            if (decoded.payload) {
+                if (typeof decoded.payload === 'object') {
+                    errorMessage = decoded.payload.error || decoded.payload.message || decoded.payload.code || JSON.stringify(decoded.payload);
+                } else {
+                    errorMessage = String(decoded.payload);
+                }
+            } else if (decoded.errorCode) {
+                errorMessage = `错误代码: ${decoded.errorCode}`;
+            }
+            
+            log.error('upstream error', { error_code: decoded.errorCode, error: errorMessage });
+            
+            if (clientWs && clientWs.readyState === WebSocket.OPEN) {
+                clientWs.send(JSON.stringify({ 
+                    type: 'error', 
+                    error: `服务器错误: ${errorMessage}`,
+                    details: decoded.payload
+                }));
+            }
+            
+            // 不立即关闭连接，让服务器决定
+            return;
+        }
+        
+        // 处理 SERVER_ACK 类型的消息（TTS 音频数据，AUDIO_ONLY_RESPONSE 与之类型值相同）
+        // 根据 Python 参考代码，TTS 音频是通过 SERVER_ACK (0b1011) 发送的，payload_msg 是 bytes
+        if (decoded.messageType === MESSAGE_TYPES.SERVER_ACK) {
+            sendAudioToClient(extractAudio(decoded, log));
+            return;
+        }
+        
+        // 如果没有 eventId，可能是其他类型的消息
+        if (decoded.eventId === null) {
+            log.warn('upstream message without event id', {
+                message_type: messageTypeName(decoded.messageType),
+                bytes: decoded.rawPayload?.length || 0
+            });
+            return;
+        }
+        
+        switch (decoded.eventId) {
+            case EVENT_IDS.CONNECTION_STARTED:
+                log.info('upstream ConnectionStarted');
+                connectionEstablished = true;
+                
+                if (pendingSystemMessage) {
+                    // 确保在 CONNECTION_STARTED 时也更新当前配置
+                    currentSystemMessage = pendingSystemMessage;
+                    currentModel = pendingModel || 'O2.0';
+                    
+                    sendStartSession(pendingSystemMessage, pendingModel || 'O2.0', pendingDialogContext);
+                    pendingSystemMessage = null;
+                    pendingModel = null;
+                    pendingDialogContext = [];
+                }
+                
+                if (messageQueue.length > 0) {
+                    log.debug('processing queued messages', { count: messageQueue.length });
+                    const queueCopy = [...messageQueue];
+                    messageQueue = [];
+                    
+                    queueCopy.forEach(item => {
+                        if (item.type === 'session') {
+                            sendStartSession(item.systemMessage, item.model, item.dialogContext);
+                        } else if (item.type === 'audio_base64') {
+                            const audioBuffer = Buffer.from(item.data, 'base64');
+                            sendTaskRequest(audioBuffer, item.isLast || false);
+                        } else if (item.type === 'audio') {
+                            // 二进制音频数据，但会话还未启动，需要重新缓存
+                            messageQueue.push(item);
+                        }
+                    });
+                }
+                break;
+                
+            case EVENT_IDS.CONNECTION_FAILED:
+                log.error('upstream ConnectionFailed', { error: decoded.payload?.error });
+                if (clientWs.readyState === WebSocket.OPEN) {
+                    clientWs.send(JSON.stringify({ type: 'error', error: decoded.payload?.error || '连接失败' }));
+                }
+                break;
+                
+            case EVENT_IDS.SESSION_STARTED:
+                sessionId = decoded.sessionId || sessionId;
+                log.info('upstream SessionStarted', { session_id: sessionId, dialog_id: decoded.payload?.dialog_id });
+                
+                // 会话启动后，处理所有缓存的音频数据
+                if (messageQueue.length > 0) {
+                    log.debug('flushing queued audio', { count: messageQueue.length });
+                    const queueCopy = [...messageQueue];
+                    messageQueue = [];
+                    
+                    queueCopy.forEach(item => {
+                        if (item.type === 'audio') {
+                            sendTaskRequest(item.data, false);
+                        } else if (item.type === 'audio_base64') {
+                            const audioBuffer = Buffer.from(item.data, 'base64');
+                            sendTaskRequest(audioBuffer, item.isLast || false);
+                        }
+                    });
+                }
+                
+                if (clientWs.readyState === WebSocket.OPEN) {
+                    clientWs.send(JSON.stringify({
+                        type: 'session_started',
+                        session_id: sessionId,
+                        dialog_id: decoded.payload?.dialog_id,
+                        // 添加调试信息，告知客户端注入了什么
+                        debug_config: {
+                            model: currentModel || 'unknown',
+                            input_mod: inputMode,
+                            system_role: currentSystemMessage || 'unknown'
+                        }
+                    }));
+                }
+                break;
+                
+            case EVENT_IDS.SESSION_FAILED:
+                log.error('upstream SessionFailed', { error: decoded.payload?.error });
+                if (clientWs.readyState === WebSocket.OPEN) {
+                    clientWs.send(JSON.stringify({ type: 'error', error: decoded.payload?.error || '会话失败' }));
+                }
+                break;
+                
+            case EVENT_IDS.ASR_INFO:
+                log.debug('upstream AsrInfo', { question_id: decoded.payload?.question_id });
+                if (clientWs.readyState === WebSocket.OPEN) {
+                    clientWs.send(JSON.stringify({ type: 'speech_started', question_id: decoded.payload?.question_id }));
+                }
+                break;
+                
+            case EVENT_IDS.ASR_RESPONSE:
+                if (clientWs.readyState === WebSocket.OPEN) {
+                    clientWs.send(JSON.stringify({ type: 'asr_response', results: decoded.payload?.results }));
+                }
+                break;
+                
+            case EVENT_IDS.TTS_RESPONSE:
+                if (clientWs.readyState === WebSocket.OPEN) {
+                    const audioData = extractAudio(decoded, log);
+                    if (!audioData) {
+                        log.warn('invalid tts audio payload');
+                        return;
+                    }
+                    sendAudioToClient(audioData);
+                }
+                break;
+                
+            case EVENT_IDS.CHAT_RESPONSE:
+                if (clientWs.readyState === WebSocket.OPEN) {
+                    clientWs.send(JSON.stringify({
+                        type: 'chat_response',
+                        content: decoded.payload?.content,
+                        question_id: decoded.payload?.question_id,
+                        reply_id: decoded.payload?.reply_id
+                    }));
+                }
+                break;
+                
+            case EVENT_IDS.CHAT_ENDED:
+                log.debug('upstream ChatEnded', { question_id: decoded.payload?.question_id, reply_id: decoded.payload?.reply_id });
+                if (clientWs.readyState === WebSocket.OPEN) {
+                    clientWs.send(JSON.stringify({
+                        type: 'chat_ended',
+                        question_id: decoded.payload?.question_id,
+                        reply_id: decoded.payload?.reply_id
+                    }));
+                }
+                break;
+                
+            case EVENT_IDS.ASR_ENDED:
+                if (clientWs.readyState === WebSocket.OPEN) {
+                    clientWs.send(JSON.stringify({ type: 'speech_ended' }));
+                }
+                break;
+
+            case EVENT_IDS.SESSION_FINISHED:
+            case EVENT_IDS.CONNECTION_FINISHED:
+                log.debug('upstream event', { event });
+                break;
+        }
+    });
+    
+    serverWs.on('open', () => {
+        upstreamOpened = true;
+        const latencyMs = Math.round(endConnectTimer({ result: 'ok' }) * 1000);
+        log.info('upstream connected', { latency_ms: latencyMs });
+        
+        // 如果 5 秒内没有收到 ConnectionStarted，记录警告
+        responseTimeout = setTimeout(() => {
+            if (!connectionEstablished) {
+                log.warn('no ConnectionStarted within 5s after connect');
+            }
+        }, 5000);
+        
+        // 立即发送 StartConnection
+        sendStartConnection();
+    });
+    
+    serverWs.on('error', (error) => {
+        log.warn('upstream socket error', { err: error });
+        if (clientWs && clientWs.readyState === WebSocket.OPEN) {
+            clientWs.send(JSON.stringify({ type: 'error', error: `服务器连接错误: ${error.message}` }));
+        }
+    });
+    
+    serverWs.on('close', (code, reason) => {
+        clearTimeout(responseTimeout);
+        if (!upstreamOpened) {
+            endConnectTimer({ result: 'error' });
+        }
+        metrics.closes.inc({ provider: 'doubao', side: 'upstream', code: String(code) });
+        log.info('upstream closed', {
+            code,
+            reason: reason.toString(),
+            connection_established: connectionEstablished,
+            session_id: sessionId,
+            queued: messageQueue.length
+        });
+        
+        // 常见的关闭代码含义
+        const closeCodeMeanings = {
+            1000: '正常关闭',
+            1001: '端点离开',
+            1002: '协议错误',
+            1003: '数据类型错误',
+            1006: '异常关闭（未收到关闭帧）',
+            1007: '数据格式错误',
+            1008: '策略违规',
+            1009: '消息过大',
+            1010: '扩展协商失败',
+            1011: '服务器错误'
+        };
+        
+        if (clientWs && clientWs.readyState === WebSocket.OPEN) {
+            // 1006 是异常关闭码，不能用于 close() 调用，改用 1000
+            const closeCode = (code === 1006 || code <= 0) ? 1000 : code;
+            try {
+                clientWs.send(JSON.stringify({ 
+                    type: 'error', 
+                    error: `服务器连接关闭: ${closeCodeMeanings[code] || `代码 ${code}`} - ${reason.toString()}` 
+                }));
+                clientWs.close(closeCode, 'Server connection closed');
+            } catch (e) {
+                log.warn('close client failed', { err: e });
+            }
+        }
+    });
+    
+    clientWs.on('error', (error) => {
+        log.warn('client socket error', { err: error });
+    });
+    
+    clientWs.on('close', () => {
+        if (serverWs.readyState === WebSocket.OPEN) {
+            sendFinishSession();
+            setTimeout(() => {
+                sendFinishConnection();
+                serverWs.close();
+            }, 100);
+        }
+    });
+}
+
+// 从客户端收发的消息中提取用量（见 lib/usage.js），direction 为 client（客户端发出）或 server（发给客户端）
+// 二进制帧为音频：输入 16kHz PCM16，输出 24kHz PCM16
+function measureUsage(direction, data, isBinary) {
+    if (isBinary) {
+        return direction === 'client'
+            ? { audio_in_ms: pcmDurationMs(data.length, 16000) }
+            : { audio_out_ms: pcmDurationMs(data.length, 24000) };
+    }
+    let msg;
+    try {
+        msg = JSON.parse(data.toString());
+    } catch (e) {
+        return null;
+    }
+    if (direction === 'client' && msg.type === 'text_input') {
+        return { text_in_chars: (msg.text || '').length };
+    }
+    if (direction === 'server' && msg.type === 'chat_response') {
+        return { text_out_chars: (msg.content || '').length };
+    }
+    return null;
+}
+
+// 代理自身产生的错误（如超出配额），格式与适配器发给客户端的 error 消息一致
+function clientError(code, message) {
+    return { type: 'error', code, error: message };
+}
+
+module.exports = {
+    name: 'doubao',
+    title: '豆包实时语音',
+    path: '/doubao-proxy',
+    page: 'doubao-index.html',
+    checkConfig,
+    describeConfig,
+    handleConnection,
+    createTranslator,
+    measureUsage,
+    clientError
+};
@@ -0,0 +1,262 @@
+// GLM-Realtime 与通用客户端协议之间的事件翻译
+
+const {
+    CLIENT_EVENTS,
+    SERVER_EVENTS,
+    toAudioBase64,
+    unsupportedEvent
+} = require('../lib/realtime-protocol');
+
+// 与 index.html 的会话配置保持一致
+const DEFAULT_TURN_DETECTION = {
+    type: 'server_vad',
+    create_response: true,
+    interrupt_response: true,
+    prefix_padding_ms: 500,
+    silence_duration_ms: 1500,
+    threshold: 0.5
+};
+
+let eventIdCounter = 0;
+
+function generateEventId() {
+    return `event_${Date.now()}_${++eventIdCounter}`;
+}
+
+function glmEvent(type, fields = {}) {
+    return {
+        data: Object.assign({ event_id: generateEventId(), client_timestamp: Date.now(), type }, fields),
+        isBinary: false
+    };
+}
+
+function buildSessionUpdate(event) {
+    const session = {
+        model: event.model || 'glm-realtime',
+        modalities: ['text', 'audio'],
+        instructions: event.instructions || '',
+        voice: event.voice || 'tongtong',
+        input_audio_format: 'pcm16',
+        output_audio_format: 'pcm',
+        input_audio_noise_reduction: { type: 'near_field' },
+        // turn_detection 为 null 时关闭服务器 VAD，由客户端发送 input_audio.commit
+        turn_detection: event.turn_detection === null
+            ? null
+            : Object.assign({}, DEFAULT_TURN_DETECTION, event.turn_detection),
+        temperature: 0.7,
+        max_response_output_tokens: 'inf',
+        beta_fields: {
+            chat_mode: 'audio',
+            tts_source: 'e2e'
+        }
+    };
+    if (Array.isArray(event.tools) && event.tools.length > 0) {
+        session.tools = event.tools.map(tool => ({
+            type: 'function',
+            name: tool.name,
+            description: tool.description || '',
+            parameters: tool.parameters || { type: 'object', properties: {}, required: [] }
+        }));
+    }
+    return glmEvent('session.update', { session });
+}
+
+// 继续以前的会话时带入的对话，逐条作为对话项加入新会话
+function buildContextItems(context) {
+    if (!Array.isArray(context)) return [];
+    return context
+        .filter(item => item && (item.role === 'user' || item.role === 'assistant') && typeof item.text === 'string')
+        .map(item => glmEvent('conversation.item.create', {
+            item: {
+                type: 'message',
+                role: item.role,
+                content: [{ type: item.role === 'user' ? 'input_text' : 'text', text: item.text }]
+            }
+        }));
+}
+
+function createTranslator({ sendToClient }) {
+    let sessionStarted = false;
+
+    function toProvider(event) {
+        switch (event.type) {
+            case CLIENT_EVENTS.SESSION_START:
+                return [buildSessionUpdate(event)].concat(buildContextItems(event.context));
+
+            case CLIENT_EVENTS.INPUT_AUDIO_APPEND:
+                return [glmEvent('input_audio_buffer.append', { audio: toAudioBase64(event.audio) })];
+
+            case CLIENT_EVENTS.INPUT_AUDIO_COMMIT:
+                return [glmEvent('input_audio_buffer.commit')];
+
+            case CLIENT_EVENTS.INPUT_TEXT:
+                return [
+                    glmEvent('conversation.item.create', {
+                        item: {
+                            type: 'message',
+                            role: 'user',
+                            content: [{ type: 'input_text', text: event.text || '' }]
+                        }
+                    }),
+                    glmEvent('response.create')
+                ];
+
+            case CLIENT_EVENTS.RESPONSE_CREATE:
+                return [glmEvent('response.create')];
+
+            case CLIENT_EVENTS.RESPONSE_CANCEL:
+                return [glmEvent('response.cancel')];
+
+            // 打断后按实际播放的毫秒数截断 AI 的回复，之后的对话以用户听到的内容为准
+            case CLIENT_EVENTS.ITEM_TRUNCATE:
+                return [glmEvent('conversation.item.truncate', {
+                    item_id: event.item_id,
+                    content_index: event.content_index || 0,
+                    audio_end_ms: Math.max(0, Math.round(Number(event.audio_end_ms) || 0))
+                })];
+
+            case CLIENT_EVENTS.TOOL_RESULT:
+                return [
+                    glmEvent('conversation.item.create', {
+                        item: {
+                            object: 'realtime.item',
+                            type: 'function_call_output',
+                            call_id: event.call_id,
+                            output: typeof event.output === 'string' ? event.output : JSON.stringify(event.output)
+                        }
+                    }),
+                    glmEvent('response.create')
+                ];
+
+            // 由代理执行工具调用（见 providers/glm.js）
+            case CLIENT_EVENTS.TOOLS_CONFIGURE:
+                return [{
+                    data: {
+                        type: 'proxy.tools.configure',
+                        mcp_url: event.mcp_url || null,
+                        mcp_servers: event.mcp_servers,
+                        disabled_tools: event.disabled_tools,
+                        builtin_tools: event.builtin_tools,
+                        tool_policies: event.tool_policies
+                    },
+                    isBinary: false
+                }];
+
+            case CLIENT_EVENTS.TOOL_DECISION:
+                return [{
+                    data: {
+                        type: 'proxy.tool_call.decision',
+                        call_id: event.call_id,
+                        approved: event.approved === true,
+                        arguments: event.arguments
+                    },
+                    isBinary: false
+                }];
+
+            case CLIENT_EVENTS.SESSION_END:
+                // 由客户端关闭 WebSocket 结束会话
+                return [];
+
+            default:
+                return unsupportedEvent(sendToClient, 'GLM', event);
+        }
+    }
+
+    function fromProvider(data, isBinary) {
+        if (isBinary) return [];
+
+        let msg;
+        try {
+            msg = JSON.parse(data.toString());
+        } catch (e) {
+            return [];
+        }
+
+        switch (msg.type) {
+            case 'session.created':
+            case 'session.updated':
+                if (sessionStarted) return [];
+                sessionStarted = true;
+                return [{ type: SERVER_EVENTS.SESSION_STARTED, provider: 'glm', session_id: msg.session?.id || null }];
+
+            // 代理重连上游时发出的状态事件（见 providers/glm.js）
+            case 'proxy.reconnecting':
+                return [{ type: SERVER_EVENTS.SESSION_RECONNECTING, attempt: msg.attempt, max_attempts: msg.max_attempts, delay_ms: msg.delay_ms }];
+
+            case 'proxy.reconnected':
+                return [{ type: SERVER_EVENTS.SESSION_RECONNECTED, attempt: msg.attempt, dropped_audio_ms: msg.dropped_audio_ms }];
+
+            // 代理端工具执行的状态事件
+            case 'proxy.tools.configured':
+                return [{ type: SERVER_EVENTS.TOOLS_CONFIGURED, tools: msg.tools, errors: msg.errors }];
+
+            case 'proxy.tools.error':
+                return [{ type: SERVER_EVENTS.ERROR, code: 'tools_configure_failed', message: msg.message }];
+
+            case 'proxy.tool_call.confirm':
+                return [{ type: SERVER_EVENTS.TOOL_CONFIRM, call_id: msg.call_id, name: msg.name, arguments: msg.arguments }];
+
+            case 'proxy.tool_call.started':
+                return [{ type: SERVER_EVENTS.TOOL_STARTED, call_id: msg.call_id, name: msg.name, arguments: msg.arguments }];
+
+            case 'proxy.tool_call.completed':
+                return [{
+                    type: SERVER_EVENTS.TOOL_COMPLETED,
+                    call_id: msg.call_id,
+                    name: msg.name,
+                    output: msg.output,
+                    is_error: msg.is_error,
+                    attempts: msg.attempts,
+                    duration_ms: msg.duration_ms,
+                    policy: msg.policy,
+                    decision: msg.decision,
+                    edited: msg.edited
+                }];
+
+            case 'input_audio_buffer.speech_started':
+                return [{ type: SERVER_EVENTS.SPEECH_STARTED, item_id: msg.item_id, audio_start_ms: msg.audio_start_ms }];
+
+            case 'input_audio_buffer.speech_stopped':
+                return [{ type: SERVER_EVENTS.SPEECH_STOPPED, item_id: msg.item_id, audio_end_ms: msg.audio_end_ms }];
+
+            case 'conversation.item.input_audio_transcription.completed':
+                return [{ type: SERVER_EVENTS.TRANSCRIPT_USER, item_id: msg.item_id, text: msg.transcript || '', final: true }];
+
+            case 'response.created':
+                return [{ type: SERVER_EVENTS.RESPONSE_STARTED, response_id: msg.response?.id || null }];
+
+            case 'response.audio_transcript.delta':
+            case 'response.text.delta': {
+                const delta = typeof msg.delta === 'string' ? msg.delta : msg.delta?.text;
+                return delta ? [{ type: SERVER_EVENTS.RESPONSE_TEXT_DELTA, response_id: msg.response_id, item_id: msg.item_id, delta }] : [];
+            }
+
+            case 'response.audio_transcript.done':
+            case 'response.text.done':
+                return [{ type: SERVER_EVENTS.RESPONSE_TEXT_DONE, response_id: msg.response_id, item_id: msg.item_id, text: msg.transcript || msg.text || '' }];
+
+            case 'response.audio.delta':
+                return msg.delta
+                    ? [{ type: SERVER_EVENTS.RESPONSE_AUDIO_DELTA, response_id: msg.response_id, item_id: msg.item_id, audio: msg.delta, sample_rate: 24000 }]
+                    : [];
+
+            case 'response.function_call_arguments.done':
+                return [{ type: SERVER_EVENTS.TOOL_CALL, call_id: msg.call_id, name: msg.name, arguments: msg.arguments }];
+
+            case 'response.done':
+                return [{ type: SERVER_EVENTS.RESPONSE_DONE, response_id: msg.response?.id || null, status: msg.response?.status }];
+
+            case 'error':
+                return [{ type: SERVER_EVENTS.ERROR, code: msg.error?.code || 'upstream_error', message: msg.error?.message || '未知错误' }];
+
+            default:
+                return [];
+        }
+    }
+
+    return { toProvider, fromProvider };
+}
+
+module.exports = {
+    createTranslator
+};
@@ -0,0 +1,604 @@
+// GLM-Realtime 代理适配器
+// 浏览器 WebSocket 无法设置 Authorization 请求头，由代理在服务器端补上 API Key
+
+const WebSocket = require('ws');
+const { logger } = require('../lib/logger');
+const { metrics, countFrame } = require('../lib/metrics');
+const { recordUpstream } = require('../lib/session-recorder');
+const { pcmDurationMs } = require('../lib/usage');
+const { createToolRunner, rejectedToolResult } = require('../lib/tool-runner');
+const { createTranslator } = require('./glm-protocol');
+
+const DEFAULT_TARGET_URL = 'wss://open.bigmodel.cn/api/paas/v4/realtime';
+
+// GLM_URL 可指向本地模拟服务器（mock/glm-mock-server.js）
+function getTargetUrl() {
+    return process.env.GLM_URL || DEFAULT_TARGET_URL;
+}
+
+function getApiKey() {
+    return process.env.API_KEY;
+}
+
+// 检查配置，返回错误信息列表
+function checkConfig() {
+    const apiKey = getApiKey();
+    if (!apiKey || apiKey === 'your_api_key_here') {
+        return ['未配置 API Key，请设置环境变量 API_KEY（或在 .env 文件中配置）'];
+    }
+    return [];
+}
+
+function describeConfig() {
+    const target = getTargetUrl() === DEFAULT_TARGET_URL ? '' : `，上游: ${getTargetUrl()}`;
+    return '使用 API Key: ' + getApiKey().substring(0, 20) + '...' + target;
+}
+
+// 上游断开后按指数退避重连：500ms、1s、2s ... 最长 8s
+const RECONNECT_BASE_DELAY_MS = 500;
+const RECONNECT_MAX_DELAY_MS = 8000;
+
+// 客户端音频为 16kHz PCM16 单声道，1 秒 32000 字节
+const INPUT_BYTES_PER_SECOND = 32000;
+
+// GLM_RECONNECT_ATTEMPTS 为 0 时关闭自动重连
+function getReconnectOptions() {
+    const attempts = Number(process.env.GLM_RECONNECT_ATTEMPTS);
+    const bufferSeconds = Number(process.env.GLM_RECONNECT_BUFFER_SECONDS);
+    return {
+        maxAttempts: Number.isFinite(attempts) && attempts >= 0 ? attempts : 5,
+        bufferSeconds: bufferSeconds > 0 ? bufferSeconds : 10
+    };
+}
+
+// 需要确认的工具调用等待用户决定的时间，超时视为未批准
+const DEFAULT_TOOL_CONFIRM_TIMEOUT_MS = 120000;
+
+function getToolConfirmTimeoutMs() {
+    const timeoutMs = Number(process.env.TOOL_CONFIRM_TIMEOUT_MS);
+    return timeoutMs > 0 ? timeoutMs : DEFAULT_TOOL_CONFIRM_TIMEOUT_MS;
+}
+
+// 鉴权失败或请求被拒绝时重连也不会成功
+function isRejected(code, error) {
+    return code === 1008 || (error && /Unexpected server response: 40[13]/.test(error.message));
+}
+
+// 1005/1006 等保留关闭码不能主动发送
+function toSendableCloseCode(code) {
+    return code >= 1000 && code < 5000 && ![1004, 1005, 1006, 1015].includes(code) ? code : 1011;
+}
+
+// 帧的事件类型，用于指标统计
+function frameType(msg, isBinary) {
+    if (isBinary) return 'binary';
+    return msg && typeof msg.type === 'string' ? msg.type : 'invalid';
+}
+
+// 比较参数是否被修改：JSON 字符串和对象统一成紧凑的 JSON 文本
+function normalizeArguments(args) {
+    if (typeof args !== 'string') return JSON.stringify(args ?? {});
+    try {
+        return JSON.stringify(JSON.parse(args));
+    } catch (e) {
+        return args;
+    }
+}
+
+let proxyEventCounter = 0;
+
+// 代理自己发给上游的事件
+function upstreamEvent(type, fields = {}) {
+    return JSON.stringify(Object.assign({
+        event_id: `proxy_event_${Date.now()}_${++proxyEventCounter}`,
+        client_timestamp: Date.now(),
+        type
+    }, fields));
+}
+
+function handleConnection(clientWs, req) {
+    const log = req.log || logger.child({ provider: 'glm' });
+    
+    const targetUrl = getTargetUrl();
+    const { maxAttempts, bufferSeconds } = getReconnectOptions();
+    const maxBufferedAudioBytes = bufferSeconds * INPUT_BYTES_PER_SECOND;
+    
+    let serverWs = null;
+    let messageQueue = []; // 消息队列，缓存上游连接就绪前的消息
+    let bufferedAudioBytes = 0;
+    let droppedAudioBytes = 0;
+    let lastSessionUpdate = null; // 最近一次 session.update，重连后重放
+    let hasConnected = false; // 只有成功连接过才自动重连
+    let restoring = false; // 重连后等待 session.updated，期间继续缓存客户端消息
+    let sessionChanged = false; // 恢复期间客户端又改了会话配置，恢复后再发一次最新的 session.update
+    let reconnectAttempt = 0;
+    let reconnectTimer = null;
+    let clientClosed = false;
+    
+    // 代理端工具执行（见 lib/tool-runner.js）：客户端发送 proxy.tools.configure 后，
+    // 代理把工具合并到 session.update 中，并拦截这些工具的函数调用，执行后自己提交结果
+    const tools = createToolRunner({ user: req.user, log });
+    let serverTools = false;
+    let lastClientSessionUpdate = null; // 合并工具前的 session.update，重新加载工具后再次合并
+    const runningCalls = new Set(); // 正在执行的工具调用 call_id
+    const pendingConfirmations = new Map(); // 等待用户确认的工具调用：call_id -> 收到决定后的回调
+    let responseActive = false; // 上游正在生成回复
+    let responsePending = false; // 已提交工具结果，等待发送 response.create
+    
+    function isUpstreamReady() {
+        return serverWs && serverWs.readyState === WebSocket.OPEN && !restoring;
+    }
+    
+    function sendStatus(type, fields) {
+        if (clientWs.readyState === WebSocket.OPEN) {
+            clientWs.send(JSON.stringify(Object.assign({ type }, fields)));
+        }
+    }
+    
+    function closeClient(code, reason) {
+        if (clientWs.readyState === WebSocket.OPEN || clientWs.readyState === WebSocket.CONNECTING) {
+            clientWs.close(toSendableCloseCode(code), reason);
+        }
+    }
+    
+    // 缓存客户端消息，音频超过上限时丢弃最早的音频
+    function queueMessage(data, isBinary, audioBytes) {
+        messageQueue.push({ data, isBinary, audioBytes });
+        if (messageQueue.length === 1) {
+            log.debug('upstream not ready, queueing client messages');
+        }
+        bufferedAudioBytes += audioBytes;
+        while (bufferedAudioBytes > maxBufferedAudioBytes) {
+            const index = messageQueue.findIndex(m => m.audioBytes > 0);
+            if (index === -1) break;
+            const [dropped] = messageQueue.splice(index, 1);
+            bufferedAudioBytes -= dropped.audioBytes;
+            if (droppedAudioBytes === 0) {
+                log.warn('queued audio over limit, dropping oldest audio', { buffer_seconds: bufferSeconds });
+            }
+            droppedAudioBytes += dropped.audioBytes;
+        }
+    }
+    
+    function flushQueue() {
+        if (messageQueue.length > 0) {
+            log.debug('flushing queued client messages', { count: messageQueue.length });
+            messageQueue.forEach(({ data, isBinary }) => {
+                serverWs.send(data, { binary: isBinary });
+            });
+        }
+        messageQueue = [];
+        bufferedAudioBytes = 0;
+        droppedAudioBytes = 0;
+    }
+    
+    function finishReconnect() {
+        log.info('session restored', {
+            attempt: reconnectAttempt,
+            dropped_audio_ms: Math.round(droppedAudioBytes / INPUT_BYTES_PER_SECOND * 1000)
+        });
+        sendStatus('proxy.reconnected', {
+            attempt: reconnectAttempt,
+            dropped_audio_ms: Math.round(droppedAudioBytes / INPUT_BYTES_PER_SECOND * 1000)
+        });
+        reconnectAttempt = 0;
+        if (sessionChanged) {
+            sessionChanged = false;
+            serverWs.send(lastSessionUpdate, { binary: false });
+        }
+        flushQueue();
+    }
+    
+    // 同名工具以代理端为准
+    function withServerTools(msg) {
+        const definitions = tools.definitions();
+        const names = new Set(definitions.map(tool => tool.name));
+        const clientTools = Array.isArray(msg.session?.tools) ? msg.session.tools.filter(tool => !names.has(tool.name)) : [];
+        const session = Object.assign({}, msg.session, { tools: clientTools.concat(definitions) });
+        return JSON.stringify(Object.assign({}, msg, { session }));
+    }
+    
+    async function configureTools(msg) {
+        let result;
+        try {
+            result = await tools.configure({
+                servers: msg.mcp_servers,
+                url: msg.mcp_url,
+                disabledTools: msg.disabled_tools,
+                localTools: msg.builtin_tools,
+                toolPolicies: msg.tool_policies
+            });
+        } catch (e) {
+            log.warn('server tools configure failed', { err: e });
+            sendStatus('proxy.tools.error', { message: e.message });
+            return;
+        }
+        if (clientClosed) return;
+        serverTools = true;
+        sendStatus('proxy.tools.configured', { tools: result.tools, errors: result.errors });
+        
+        // 会话已经配置过时，立即用合并后的工具更新会话
+        if (lastClientSessionUpdate) {
+            lastSessionUpdate = withServerTools(lastClientSessionUpdate);
+            if (isUpstreamReady()) {
+                serverWs.send(lastSessionUpdate, { binary: false });
+            } else if (!hasConnected) {
+                queueMessage(lastSessionUpdate, false, 0);
+            } else if (restoring) {
+                sessionChanged = true;
+            }
+        }
+    }
+    
+    // 所有工具调用完成、当前回复结束后再请求模型继续回复
+    function requestResponse() {
+        if (!responsePending || runningCalls.size > 0 || responseActive || !isUpstreamReady()) return;
+        responsePending = false;
+        responseActive = true;
+        serverWs.send(upstreamEvent('response.create'), { binary: false });
+    }
+    
+    // 发送 proxy.tool_call.confirm 并等待客户端的 proxy.tool_call.decision，
+    // 返回 { decision: approved / rejected / timeout, arguments }
+    function requestConfirmation(callId, msg) {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => finish({ decision: 'timeout' }), getToolConfirmTimeoutMs());
+            function finish(result) {
+                clearTimeout(timer);
+                pendingConfirmations.delete(callId);
+                resolve(result);
+            }
+            pendingConfirmations.set(callId, finish);
+            sendStatus('proxy.tool_call.confirm', { call_id: callId, name: msg.name, arguments: msg.arguments });
+        });
+    }
+    
+    function handleDecision(msg) {
+        const finish = pendingConfirmations.get(msg.call_id);
+        if (!finish) {
+            log.warn('tool call decision for unknown call', { call_id: msg.call_id });
+            return;
+        }
+        if (msg.approved !== true) {
+            finish({ decision: 'rejected' });
+            return;
+        }
+        // 用户修改过的参数可以是 JSON 字符串或对象，未提供时使用模型给出的参数
+        finish({ decision: 'approved', arguments: msg.arguments ?? undefined });
+    }
+    
+    // 代理执行工具调用，客户端只收到 proxy.tool_call.started / proxy.tool_call.completed
+    // 策略为 confirm 的工具先发送 proxy.tool_call.confirm 等用户决定，deny 的工具直接拒绝
+    async function runToolCall(ws, msg) {
+        const callId = msg.call_id;
+        const policy = tools.policy(msg.name);
+        runningCalls.add(callId);
+        
+        let decision = policy === 'deny' ? 'denied' : 'auto';
+        let args = msg.arguments;
+        let edited = false;
+        let result;
+        try {
+            if (policy === 'confirm') {
+                const answer = await requestConfirmation(callId, msg);
+                decision = answer.decision;
+                if (answer.arguments !== undefined) args = answer.arguments;
+                if (clientClosed) return;
+            }
+            edited = normalizeArguments(args) !== normalizeArguments(msg.arguments);
+            // 审计日志：每次调用的策略和决定
+            log.info('tool call decision', { call_id: callId, tool: msg.name, policy, decision, edited });
+            
+            if (decision === 'auto' || decision === 'approved') {
+                sendStatus('proxy.tool_call.started', { call_id: callId, name: msg.name, arguments: args });
+                result = await tools.run(msg.name, args);
+            } else {
+                result = rejectedToolResult(msg.name, decision);
+            }
+        } catch (e) {
+            // 执行器本身出错（不是工具返回的错误）也要给模型一个结果，否则这一轮会一直等下去
+            log.error('tool call crashed', { call_id: callId, tool: msg.name, err: e });
+            result = { output: `工具调用失败：${e.message}`, is_error: true, attempts: 0, duration_ms: 0 };
+        } finally {
+            runningCalls.delete(callId);
+        }
+        if (clientClosed) return;
+        
+        if (serverWs === ws && isUpstreamReady()) {
+            ws.send(upstreamEvent('conversation.item.create', {
+                item: { type: 'function_call_output', call_id: callId, output: result.output }
+            }), { binary: false });
+            responsePending = true;
+        } else {
+            // 上游重连后是新的会话，不认识之前的 call_id
+            log.warn('upstream changed, tool result dropped', { call_id: callId, tool: msg.name });
+        }
+        sendStatus('proxy.tool_call.completed', Object.assign({ call_id: callId, name: msg.name, policy, decision, edited }, result));
+        requestResponse();
+    }
+    
+    function scheduleReconnect(code, reason) {
+        reconnectAttempt++;
+        const delay = Math.min(RECONNECT_BASE_DELAY_MS * Math.pow(2, reconnectAttempt - 1), RECONNECT_MAX_DELAY_MS);
+        log.info('upstream reconnect scheduled', { attempt: reconnectAttempt, max_attempts: maxAttempts, delay_ms: delay, code });
+        metrics.upstreamReconnects.inc({ provider: 'glm' });
+        sendStatus('proxy.reconnecting', {
+            attempt: reconnectAttempt,
+            max_attempts: maxAttempts,
+            delay_ms: delay,
+            code,
+            reason
+        });
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            connectUpstream();
+        }, delay);
+    }
+    
+    // 转发客户端消息到服务器
+    clientWs.on('message', (data, isBinary) => {
+        let msg = null;
+        if (!isBinary) {
+            try {
+                msg = JSON.parse(data.toString());
+            } catch (e) {
+                // 不是 JSON，直接转发
+            }
+        }
+        
+        const type = frameType(msg, isBinary);
+        countFrame('glm', 'client', type);
+        if (type !== 'input_audio_buffer.append') {
+            log.debug('client message', { type });
+        }
+        
+        if (msg && msg.type === 'proxy.tools.configure') {
+            configureTools(msg);
+            return;
+        }
+        
+        if (msg && msg.type === 'proxy.tool_call.decision') {
+            handleDecision(msg);
+            return;
+        }
+        
+        if (msg && msg.type === 'session.update') {
+            lastClientSessionUpdate = msg;
+            if (serverTools) {
+                data = withServerTools(msg);
+            }
+            lastSessionUpdate = data;
+        }
+        
+        if (isUpstreamReady()) {
+            // 服务器已连接，直接转发
+            serverWs.send(data, { binary: isBinary });
+            return;
+        }
+        
+        // 重连时会重放最新的 session.update（上面已记下），不再重复缓存；
+        // 重放已经发出、还在等 session.updated 时，恢复后再发一次，这次修改才不会丢
+        if (hasConnected && msg && msg.type === 'session.update') {
+            if (restoring) sessionChanged = true;
+            return;
+        }
+        
+        let audioBytes = 0;
+        if (isBinary) {
+            audioBytes = data.length;
+        } else if (msg && msg.type === 'input_audio_buffer.append' && typeof msg.audio === 'string') {
+            audioBytes = Math.floor(msg.audio.length * 3 / 4);
+        }
+        queueMessage(data, isBinary, audioBytes);
+    });
+    
+    function connectUpstream() {
+        log.debug('connecting upstream', { target: targetUrl });
+        const endConnectTimer = metrics.upstreamConnectSeconds.startTimer({ provider: 'glm' });
+        
+        // 连接到智谱 AI 的 WebSocket 服务
+        // 使用 Authorization 请求头传递 API Key
+        const headers = {
+            'Authorization': getApiKey()
+        };
+        
+        const ws = new WebSocket(targetUrl, {
+            headers: headers
+        });
+        recordUpstream(ws, { provider: 'glm', url: req.url, target: targetUrl, log });
+        serverWs = ws;
+        responseActive = false;
+        responsePending = false;
+        
+        let opened = false;
+        let lastError = null;
+        
+        // 处理服务器连接打开
+        ws.on('open', () => {
+            opened = true;
+            const latencyMs = Math.round(endConnectTimer({ result: 'ok' }) * 1000);
+            if (!hasConnected) {
+                hasConnected = true;
+                log.info('upstream connected', { latency_ms: latencyMs });
+                flushQueue();
+                return;
+            }
+            
+            log.info('upstream reconnected', { attempt: reconnectAttempt, latency_ms: latencyMs });
+            if (lastSessionUpdate) {
+                // 恢复会话配置（提示词、工具、音色、VAD），等 session.updated 后再发送缓存的消息
+                restoring = true;
+                ws.send(lastSessionUpdate, { binary: false });
+            } else {
+                finishReconnect();
+            }
+        });
+        
+        // 转发服务器消息到客户端
+        ws.on('message', (data, isBinary) => {
+            let msg = null;
+            if (!isBinary) {
+                try {
+                    msg = JSON.parse(data.toString());
+                } catch (e) {
+                    // 不是 JSON，直接转发
+                }
+            }
+            
+            const type = frameType(msg, isBinary);
+            countFrame('glm', 'upstream', type);
+            
+            // 恢复会话期间的 session 事件由代理消化，客户端看到的仍是原来的会话
+            if (restoring && msg) {
+                if (msg.type === 'session.created') {
+                    return;
+                }
+                if (msg.type === 'session.updated') {
+                    restoring = false;
+                    finishReconnect();
+                    return;
+                }
+                if (msg.type === 'error') {
+                    log.error('session restore failed', { error: msg.error?.message });
+                    restoring = false;
+                    finishReconnect();
+                }
+            }
+            
+            if (type === 'error') {
+                log.warn('upstream error event', { error: msg.error });
+            } else if (type !== 'response.audio.delta' && type !== 'response.audio_transcript.delta') {
+                log.debug('upstream message', { type });
+            }
+            
+            if (type === 'response.created') {
+                responseActive = true;
+            } else if (type === 'response.function_call_arguments.done' && serverTools && tools.has(msg.name)) {
+                runToolCall(ws, msg).catch(e => log.error('tool call result not delivered', { call_id: msg.call_id, tool: msg.name, err: e }));
+                return;
+            }
+            
+            if (clientWs.readyState === WebSocket.OPEN) {
+                // 保持原始格式转发
+                clientWs.send(data, { binary: isBinary });
+            }
+            
+            if (type === 'response.done') {
+                responseActive = false;
+                requestResponse();
+            }
+        });
+        
+        // 处理服务器错误
+        ws.on('error', (error) => {
+            log.warn('upstream socket error', { err: error });
+            lastError = error;
+        });
+        
+        // 处理服务器关闭
+        ws.on('close', (code, reason) => {
+            if (!opened) {
+                endConnectTimer({ result: 'error' });
+            }
+            metrics.closes.inc({ provider: 'glm', side: 'upstream', code: String(code) });
+            log.info('upstream closed', { code, reason: reason.toString() });
+            if (clientClosed || serverWs !== ws) return;
+            restoring = false;
+            sessionChanged = false;
+            
+            if (hasConnected && reconnectAttempt < maxAttempts && !isRejected(code, lastError)) {
+                scheduleReconnect(code, reason.toString());
+                return;
+            }
+            
+            if (!opened && lastError) {
+                closeClient(1011, '服务器连接错误: ' + lastError.message);
+            } else {
+                closeClient(code, reason);
+            }
+        });
+    }
+    
+    connectUpstream();
+    
+    // 处理客户端关闭
+    clientWs.on('close', () => {
+        clientClosed = true;
+        pendingConfirmations.forEach(finish => finish({ decision: 'rejected' }));
+        if (reconnectTimer) {
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+        }
+        if (serverWs.readyState === WebSocket.OPEN) {
+            serverWs.close();
+        } else if (serverWs.readyState === WebSocket.CONNECTING) {
+            serverWs.terminate();
+        }
+    });
+    
+    // 处理客户端错误
+    clientWs.on('error', (error) => {
+        log.warn('client socket error', { err: error });
+    });
+}
+
+// 从客户端收发的消息中提取用量（见 lib/usage.js），direction 为 client（客户端发出）或 server（发给客户端）
+// 输入音频为 16kHz PCM16，输出音频为 24kHz PCM16
+function measureUsage(direction, data, isBinary) {
+    if (isBinary) return null;
+    let msg;
+    try {
+        msg = JSON.parse(data.toString());
+    } catch (e) {
+        return null;
+    }
+
+    if (direction === 'client') {
+        if (msg.type === 'input_audio_buffer.append' && typeof msg.audio === 'string') {
+            return { audio_in_ms: pcmDurationMs(Buffer.byteLength(msg.audio, 'base64'), 16000) };
+        }
+        if (msg.type === 'conversation.item.create' && msg.item?.type === 'message') {
+            const text = (msg.item.content || []).map(c => c.text || '').join('');
+            return { text_in_chars: text.length };
+        }
+        return null;
+    }
+
+    switch (msg.type) {
+        case 'response.audio.delta':
+            return typeof msg.delta === 'string'
+                ? { audio_out_ms: pcmDurationMs(Buffer.byteLength(msg.delta, 'base64'), 24000) }
+                : null;
+        case 'response.audio_transcript.done':
+            return { text_out_chars: (msg.transcript || '').length };
+        case 'response.text.done':
+            return { text_out_chars: (msg.text || '').length };
+        case 'response.function_call_arguments.done':
+        case 'proxy.tool_call.started':
+            return { function_calls: 1 };
+        case 'response.done': {
+            const usage = msg.response?.usage;
+            return usage ? { text_in_tokens: usage.input_tokens || 0, text_out_tokens: usage.output_tokens || 0 } : null;
+        }
+        default:
+            return null;
+    }
+}
+
+// 代理自身产生的错误（如超出配额），格式与上游的 error 事件一致
+function clientError(code, message) {
+    return { type: 'error', error: { type: code, code, message } };
+}
+
+module.exports = {
+    name: 'glm',
+    title: '智谱 GLM-Realtime',
+    path: '/proxy',
+    page: 'index.html',
+    checkConfig,
+    describeConfig,
+    handleConnection,
+    createTranslator,
+    measureUsage,
+    clientError
+};
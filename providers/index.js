@@ -0,0 +1,44 @@
+// 服务商注册表
+// 每个服务商适配器需要提供：
+//   name             唯一名称（用于配置，如 PROVIDERS=glm,doubao）
+//   title            显示名称
+//   path             默认 WebSocket 挂载路径（可用 <NAME>_PATH 环境变量覆盖）
+//   page             对应的前端页面文件（可选）
+//   checkConfig()    返回配置错误信息列表，空数组表示配置正确
+//   describeConfig() 返回启动时打印的配置摘要
+//   handleConnection(clientWs, req) 处理一个浏览器 WebSocket 连接，req.connId 为连接 ID，req.log 为该连接的日志器
+//   createTranslator({ sendToClient }) 通用客户端协议翻译器（可选，见 lib/realtime-protocol.js）
+//   measureUsage(direction, data, isBinary) 从客户端收发的消息中提取用量（可选，见 lib/usage.js）
+//   clientError(code, message) 生成发给客户端的错误消息（可选）
+
+const providers = new Map();
+
+function registerProvider(provider) {
+    if (!provider || !provider.name) {
+        throw new Error('服务商适配器缺少 name');
+    }
+    if (typeof provider.handleConnection !== 'function') {
+        throw new Error(`服务商 ${provider.name} 缺少 handleConnection`);
+    }
+    if (providers.has(provider.name)) {
+        throw new Error(`服务商 ${provider.name} 已注册`);
+    }
+    providers.set(provider.name, provider);
+}
+
+function getProvider(name) {
+    return providers.get(name) || null;
+}
+
+function listProviders() {
+    return Array.from(providers.values());
+}
+
+registerProvider(require('./glm'));
+registerProvider(require('./doubao'));
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    listProviders
+};
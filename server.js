@@ -0,0 +1,14 @@
+// 统一代理服务器入口：同一进程同时提供 GLM 与豆包代理
+// PORT 指定端口（默认 3000），PROVIDERS 指定启用的服务商（默认全部，逗号分隔）
+
+require('dotenv').config();
+const { startServer } = require('./lib/server');
+const { listProviders } = require('./providers');
+
+const PORT = Number(process.env.PORT) || 3000;
+const providers = process.env.PROVIDERS
+    ? process.env.PROVIDERS.split(',').map(s => s.trim()).filter(Boolean)
+    : listProviders().map(p => p.name);
+
+// 显式指定 PROVIDERS 时要求配置完整，否则跳过未配置的服务商
+startServer({ port: PORT, providers, strict: !!process.env.PROVIDERS });
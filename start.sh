@@ -20,11 +20,11 @@ if [ ! -d "node_modules" ]; then
 fi
 
 # 启动代理服务器
-echo "🔌 启动代理服务器 (端口 3000)..."
-echo "   前端页面请访问: http://localhost:8000/index.html"
-echo "   或直接打开 index.html 文件"
+echo "🔌 启动统一代理服务器 (端口 3000)..."
+echo "   GLM 前端页面: http://localhost:3000/index.html"
+echo "   豆包前端页面: http://localhost:3000/doubao-index.html（需配置豆包 API Key）"
 echo ""
 echo "按 Ctrl+C 停止服务器"
 echo ""
 
-node proxy-server.js
+node server.js
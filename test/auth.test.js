@@ -0,0 +1,166 @@
+// 访问认证（lib/auth.js）：签名令牌的验证、过期和签名错误，服务商和 MCP 权限，来源白名单，
+// WebSocket 连接被拒绝时的 4401 / 4403 关闭码，以及未启用认证时匿名用户有管理员权限
+
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { createServer } = require('../lib/server');
+const { createUsageStore } = require('../lib/usage');
+const { AuthError, createAuthenticator, signedTokenStrategy, signToken, getToken } = require('../lib/auth');
+
+const SECRET = 'test-secret';
+
+function request({ token, origin, host = 'proxy.example.com', query = '' } = {}) {
+    const headers = { host };
+    if (token) headers['authorization'] = `Bearer ${token}`;
+    if (origin) headers['origin'] = origin;
+    return { url: '/glm' + query, headers };
+}
+
+function assertAuthError(run, status, message) {
+    assert.throws(run, e => e instanceof AuthError && e.status === status && (!message || e.message === message));
+}
+
+const signedAuth = () => createAuthenticator({ strategies: [signedTokenStrategy(SECRET)] });
+
+test.afterEach(() => {
+    delete process.env.ALLOWED_ORIGINS;
+});
+
+test('签名令牌验证通过后得到令牌中的用户和权限', () => {
+    const token = signToken({ user: 'alice', providers: ['glm'], mcp: false, admin: true, quota: { daily: { audio_minutes: 5 } }, ttlSeconds: 60 }, SECRET);
+    assert.deepStrictEqual(signedAuth().authenticate(request({ token })), {
+        id: 'alice',
+        providers: ['glm'],
+        mcp: false,
+        admin: true,
+        quota: { daily: { audio_minutes: 5 } }
+    });
+    // 默认不是管理员，可以使用 MCP 和所有服务商
+    assert.deepStrictEqual(signedAuth().authenticate(request({ token: signToken({ user: 'bob' }, SECRET) })), {
+        id: 'bob', providers: null, mcp: true, admin: false, quota: null
+    });
+});
+
+test('过期的签名令牌返回 401', () => {
+    const token = signToken({ user: 'alice', ttlSeconds: -1 }, SECRET);
+    assertAuthError(() => signedAuth().authenticate(request({ token })), 401, '令牌已过期');
+});
+
+test('签名错误或内容被改动的令牌返回 401', () => {
+    const forged = signToken({ user: 'alice' }, 'other-secret');
+    assertAuthError(() => signedAuth().authenticate(request({ token: forged })), 401, '令牌签名无效');
+
+    // 换成管理员的内容，签名不变
+    const [header, , signature] = signToken({ user: 'alice' }, SECRET).split('.');
+    const payload = Buffer.from(JSON.stringify({ sub: 'alice', admin: true })).toString('base64url');
+    assertAuthError(() => signedAuth().authenticate(request({ token: `${header}.${payload}.${signature}` })), 401, '令牌签名无效');
+
+    // 不是 JWT 格式的令牌不属于签名令牌
+    assertAuthError(() => signedAuth().authenticate(request({ token: 'not-a-jwt' })), 401, '访问令牌无效');
+    assertAuthError(() => signedAuth().authenticate(request()), 401, '缺少访问令牌');
+});
+
+test('令牌从 Authorization 请求头或 token 查询参数读取', () => {
+    assert.strictEqual(getToken({ url: '/glm', headers: { authorization: 'Bearer abc' } }), 'abc');
+    assert.strictEqual(getToken({ url: '/glm?token=xyz', headers: {} }), 'xyz');
+    assert.strictEqual(getToken({ url: '/glm', headers: {} }), null);
+});
+
+test('按令牌中的权限限制服务商、MCP 和监控指标', () => {
+    const auth = signedAuth();
+    const token = signToken({ user: 'alice', providers: ['glm'], mcp: false }, SECRET);
+    assert.strictEqual(auth.authorize(request({ token }), 'glm').id, 'alice');
+    assertAuthError(() => auth.authorize(request({ token }), 'doubao'), 403);
+    assertAuthError(() => auth.authorize(request({ token }), 'mcp'), 403);
+    assertAuthError(() => auth.authorize(request({ token }), 'metrics'), 403);
+    // 内置工具和用量报表对所有用户开放
+    assert.strictEqual(auth.authorize(request({ token }), 'tools').id, 'alice');
+    assert.strictEqual(auth.authorize(request({ token }), 'usage').id, 'alice');
+});
+
+test('来源白名单：不在白名单中的来源返回 403，同源和没有 Origin 的请求允许', () => {
+    process.env.ALLOWED_ORIGINS = 'https://app.example.com, http://localhost:8000/';
+    const auth = signedAuth();
+    const token = signToken({ user: 'alice' }, SECRET);
+
+    assert.strictEqual(auth.authorize(request({ token, origin: 'https://app.example.com' }), 'glm').id, 'alice');
+    assert.strictEqual(auth.authorize(request({ token, origin: 'http://localhost:8000' }), 'glm').id, 'alice');
+    assert.strictEqual(auth.authorize(request({ token, origin: 'https://proxy.example.com' }), 'glm').id, 'alice');
+    assert.strictEqual(auth.authorize(request({ token }), 'glm').id, 'alice');
+
+    assertAuthError(() => auth.authorize(request({ token, origin: 'https://evil.example.com' }), 'glm'), 403);
+    // 令牌有效也不行，检查来源在认证之前
+    assert.throws(() => auth.authorize(request({ token, origin: 'null' }), 'glm'), e => e.closeCode === 4403);
+});
+
+test('未启用认证时匿名用户可以使用所有服务商，并且有管理员权限', () => {
+    const auth = createAuthenticator();
+    assert.strictEqual(auth.enabled, false);
+    const user = auth.authorize(request(), 'doubao');
+    assert.strictEqual(user.id, 'anonymous');
+    assert.strictEqual(user.admin, true);
+    assert.strictEqual(auth.authorize(request(), 'metrics').id, 'anonymous');
+    assert.strictEqual(auth.authorize(request(), 'mcp').id, 'anonymous');
+    // 匿名用户是共享的，不能被修改
+    assert.throws(() => { 'use strict'; user.admin = false; }, TypeError);
+    assert.strictEqual(auth.authorize(request(), 'metrics').admin, true);
+});
+
+// 用一个只回复用户名的假服务商测试 WebSocket 连接的认证
+async function withServer(auth, run) {
+    const provider = {
+        name: 'glm',
+        handleConnection(ws, req) {
+            ws.send(req.user.id);
+        }
+    };
+    const server = createServer([{ provider, path: '/glm' }], { auth, usage: createUsageStore() });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    try {
+        await run(`ws://127.0.0.1:${server.address().port}/glm`);
+    } finally {
+        server.closeAllConnections();
+        server.close();
+    }
+}
+
+// 连接并返回 { message } 或 { code, reason }
+async function connect(wsUrl, options) {
+    const ws = new WebSocket(wsUrl, options);
+    const result = await new Promise((resolve, reject) => {
+        ws.on('message', data => resolve({ message: data.toString() }));
+        ws.on('close', (code, reason) => resolve({ code, reason: reason.toString() }));
+        ws.on('error', reject);
+    });
+    ws.close();
+    return result;
+}
+
+test('WebSocket 连接：未认证以 4401 关闭，无权访问或来源不允许以 4403 关闭', async () => {
+    process.env.ALLOWED_ORIGINS = 'https://app.example.com';
+    const auth = signedAuth();
+    await withServer(auth, async wsUrl => {
+        const token = signToken({ user: 'alice' }, SECRET);
+        assert.deepStrictEqual(await connect(`${wsUrl}?token=${token}`), { message: 'alice' });
+        assert.deepStrictEqual(await connect(`${wsUrl}?token=${token}`, { origin: 'https://app.example.com' }), { message: 'alice' });
+
+        assert.strictEqual((await connect(wsUrl)).code, 4401);
+        assert.strictEqual((await connect(`${wsUrl}?token=${signToken({ user: 'alice', ttlSeconds: -1 }, SECRET)}`)).code, 4401);
+        assert.strictEqual((await connect(`${wsUrl}?token=${signToken({ user: 'alice' }, 'other-secret')}`)).code, 4401);
+
+        const doubaoOnly = signToken({ user: 'bob', providers: ['doubao'] }, SECRET);
+        assert.strictEqual((await connect(`${wsUrl}?token=${doubaoOnly}`)).code, 4403);
+        assert.strictEqual((await connect(`${wsUrl}?token=${token}`, { origin: 'https://evil.example.com' })).code, 4403);
+    });
+});
+
+test('未启用认证时 WebSocket 连接不需要令牌', async () => {
+    await withServer(createAuthenticator(), async wsUrl => {
+        assert.deepStrictEqual(await connect(wsUrl), { message: 'anonymous' });
+    });
+});
@@ -0,0 +1,260 @@
+// 豆包二进制帧编解码：与手工按协议拼出的字节（golden）逐字节比对，再验证解码结果
+
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const {
+    MESSAGE_TYPES,
+    MESSAGE_FLAGS,
+    SERIALIZATION,
+    COMPRESSION,
+    EVENT_IDS,
+    encodeMessage,
+    decodeMessage
+} = require('../providers/doubao-codec');
+
+function hex(text) {
+    return Buffer.from(text.replace(/\s+/g, ''), 'hex');
+}
+
+// 每个用例：编码参数、对应的字节、解码后应有的字段
+const GOLDEN = [
+    {
+        name: '客户端 StartSession：事件 + session id + JSON，不压缩',
+        encode: {
+            messageType: MESSAGE_TYPES.FULL_CLIENT_REQUEST,
+            eventId: EVENT_IDS.START_SESSION,
+            sessionId: 's1',
+            payload: { a: 1 },
+            compression: COMPRESSION.NONE
+        },
+        bytes: hex(`
+            11 14 10 00
+            00 00 00 64
+            00 00 00 02 73 31
+            00 00 00 07 7b 22 61 22 3a 31 7d`),
+        decoded: {
+            messageType: MESSAGE_TYPES.FULL_CLIENT_REQUEST,
+            flags: MESSAGE_FLAGS.WITH_EVENT,
+            serializationMethod: SERIALIZATION.JSON,
+            compressionType: COMPRESSION.NONE,
+            sequence: null,
+            eventId: EVENT_IDS.START_SESSION,
+            sessionId: 's1',
+            payload: { a: 1 }
+        }
+    },
+    {
+        name: '客户端 StartConnection：连接级事件不带 session id',
+        encode: {
+            messageType: MESSAGE_TYPES.FULL_CLIENT_REQUEST,
+            eventId: EVENT_IDS.START_CONNECTION,
+            payload: {},
+            compression: COMPRESSION.NONE
+        },
+        bytes: hex(`
+            11 14 10 00
+            00 00 00 01
+            00 00 00 02 7b 7d`),
+        decoded: { eventId: EVENT_IDS.START_CONNECTION, sessionId: null, payload: {} }
+    },
+    {
+        name: '音频请求：正序号（POS_SEQUENCE），原始数据',
+        encode: {
+            messageType: MESSAGE_TYPES.AUDIO_ONLY_REQUEST,
+            sequence: 5,
+            payload: Buffer.from([1, 2, 3]),
+            compression: COMPRESSION.NONE
+        },
+        bytes: hex(`
+            11 21 00 00
+            00 00 00 05
+            00 00 00 03 01 02 03`),
+        decoded: {
+            flags: MESSAGE_FLAGS.POS_SEQUENCE,
+            serializationMethod: SERIALIZATION.NONE,
+            sequence: 5,
+            eventId: null,
+            payload: Buffer.from([1, 2, 3])
+        }
+    },
+    {
+        name: '音频请求：最后一包带负序号（NEG_WITH_SEQUENCE）',
+        encode: {
+            messageType: MESSAGE_TYPES.AUDIO_ONLY_REQUEST,
+            sequence: -3,
+            payload: Buffer.from([9]),
+            compression: COMPRESSION.NONE
+        },
+        bytes: hex(`
+            11 23 00 00
+            ff ff ff fd
+            00 00 00 01 09`),
+        decoded: { flags: MESSAGE_FLAGS.NEG_WITH_SEQUENCE, sequence: -3, payload: Buffer.from([9]) }
+    },
+    {
+        name: '音频请求：最后一包不带序号（NEG_SEQUENCE），不能读出序号字段',
+        encode: {
+            messageType: MESSAGE_TYPES.AUDIO_ONLY_REQUEST,
+            last: true,
+            payload: Buffer.from([9]),
+            compression: COMPRESSION.NONE
+        },
+        bytes: hex(`
+            11 22 00 00
+            00 00 00 01 09`),
+        decoded: { flags: MESSAGE_FLAGS.NEG_SEQUENCE, sequence: null, payload: Buffer.from([9]) }
+    },
+    {
+        name: '服务端 TTSResponse：事件 + session id + 原始音频',
+        encode: {
+            messageType: MESSAGE_TYPES.AUDIO_ONLY_RESPONSE,
+            eventId: EVENT_IDS.TTS_RESPONSE,
+            sessionId: 's1',
+            payload: Buffer.from([0xaa, 0xbb]),
+            compression: COMPRESSION.NONE
+        },
+        bytes: hex(`
+            11 b4 00 00
+            00 00 01 60
+            00 00 00 02 73 31
+            00 00 00 02 aa bb`),
+        decoded: {
+            messageType: MESSAGE_TYPES.AUDIO_ONLY_RESPONSE,
+            eventId: EVENT_IDS.TTS_RESPONSE,
+            sessionId: 's1',
+            connectId: null,
+            payload: Buffer.from([0xaa, 0xbb])
+        }
+    },
+    {
+        name: '服务端 ConnectionStarted：ID 字段是 connect id',
+        encode: {
+            messageType: MESSAGE_TYPES.FULL_SERVER_RESPONSE,
+            eventId: EVENT_IDS.CONNECTION_STARTED,
+            sessionId: 'c9',
+            payload: {},
+            compression: COMPRESSION.NONE
+        },
+        bytes: hex(`
+            11 94 10 00
+            00 00 00 32
+            00 00 00 02 63 39
+            00 00 00 02 7b 7d`),
+        decoded: { eventId: EVENT_IDS.CONNECTION_STARTED, connectId: 'c9', sessionId: null, payload: {} }
+    },
+    {
+        name: 'ERROR_INFO：错误码在最前，不带事件时没有 ID 字段',
+        encode: {
+            messageType: MESSAGE_TYPES.ERROR_INFO,
+            errorCode: 45000001,
+            payload: { error: 'x' },
+            compression: COMPRESSION.NONE
+        },
+        bytes: hex(`
+            11 f0 10 00
+            02 ae a5 41
+            00 00 00 0d 7b 22 65 72 72 6f 72 22 3a 22 78 22 7d`),
+        decoded: {
+            messageType: MESSAGE_TYPES.ERROR_INFO,
+            errorCode: 45000001,
+            eventId: null,
+            sessionId: null,
+            payload: { error: 'x' }
+        }
+    },
+    {
+        name: 'ERROR_INFO：带事件时在错误码后携带事件和 session id',
+        encode: {
+            messageType: MESSAGE_TYPES.ERROR_INFO,
+            errorCode: 52000042,
+            eventId: EVENT_IDS.SESSION_FAILED,
+            sessionId: 's1',
+            payload: { error: 'y' },
+            compression: COMPRESSION.NONE
+        },
+        bytes: hex(`
+            11 f4 10 00
+            03 19 75 2a
+            00 00 00 99
+            00 00 00 02 73 31
+            00 00 00 0d 7b 22 65 72 72 6f 72 22 3a 22 79 22 7d`),
+        decoded: { errorCode: 52000042, eventId: EVENT_IDS.SESSION_FAILED, sessionId: 's1', payload: { error: 'y' } }
+    }
+];
+
+for (const golden of GOLDEN) {
+    test(`编码：${golden.name}`, () => {
+        assert.strictEqual(encodeMessage(golden.encode).toString('hex'), golden.bytes.toString('hex'));
+    });
+
+    test(`解码：${golden.name}`, () => {
+        const decoded = decodeMessage(golden.bytes);
+        assert.ok(decoded, '帧完整时应能解码');
+        for (const [key, value] of Object.entries(golden.decoded)) {
+            assert.deepStrictEqual(decoded[key], value, key);
+        }
+        assert.strictEqual(decoded.decodeError, null);
+    });
+}
+
+// gzip 输出与 zlib 版本有关，编码只比对 gzip 之外的字节；解码用固定的 gzip 字节
+const GZIP_TEXT_FRAME = hex(`
+    11 94 11 00
+    00 00 02 26
+    00 00 00 02 73 31
+    00 00 00 25
+    1f8b0800000000000003ab562a49ad2851b2527ab277c1d3a57b956a018e23a84711000000`);
+
+test('解码：gzip 压缩的 JSON（ChatResponse）', () => {
+    const decoded = decodeMessage(GZIP_TEXT_FRAME);
+    assert.strictEqual(decoded.compressionType, COMPRESSION.GZIP);
+    assert.strictEqual(decoded.serializationMethod, SERIALIZATION.JSON);
+    assert.strictEqual(decoded.eventId, EVENT_IDS.CHAT_RESPONSE);
+    assert.strictEqual(decoded.sessionId, 's1');
+    assert.deepStrictEqual(decoded.payload, { text: '你好' });
+    assert.strictEqual(decoded.decodeError, null);
+});
+
+test('编码：默认 gzip 压缩，头部标记 JSON + GZIP，payload 可解压', () => {
+    const frame = encodeMessage({
+        messageType: MESSAGE_TYPES.FULL_CLIENT_REQUEST,
+        eventId: EVENT_IDS.CHAT_TEXT_QUERY,
+        sessionId: 's1',
+        payload: { content: '一加一等于几' }
+    });
+    assert.strictEqual(frame.slice(0, 14).toString('hex'), hex('11 14 11 00 00 00 01 f5 00 00 00 02 73 31').toString('hex'));
+    const size = frame.readUInt32BE(14);
+    assert.strictEqual(frame.length, 18 + size);
+    assert.deepStrictEqual(JSON.parse(zlib.gunzipSync(frame.slice(18)).toString('utf8')), { content: '一加一等于几' });
+    assert.deepStrictEqual(decodeMessage(frame).payload, { content: '一加一等于几' });
+});
+
+test('编码再解码：gzip 压缩的原始音频保持不变', () => {
+    const audio = Buffer.from(Array.from({ length: 64 }, (_, i) => i));
+    const decoded = decodeMessage(encodeMessage({
+        messageType: MESSAGE_TYPES.AUDIO_ONLY_REQUEST,
+        eventId: EVENT_IDS.TASK_REQUEST,
+        sessionId: 's1',
+        payload: audio
+    }));
+    assert.strictEqual(decoded.serializationMethod, SERIALIZATION.NONE);
+    assert.strictEqual(decoded.compressionType, COMPRESSION.GZIP);
+    assert.deepStrictEqual(decoded.payload, audio);
+});
+
+test('解码：帧不完整时返回 null', () => {
+    for (const golden of GOLDEN) {
+        for (let length = 0; length < golden.bytes.length; length++) {
+            assert.strictEqual(decodeMessage(golden.bytes.slice(0, length)), null, `${golden.name}，长度 ${length}`);
+        }
+    }
+});
+
+test('解码：gzip 数据损坏时保留原始数据并给出 decodeError', () => {
+    const frame = Buffer.from(GZIP_TEXT_FRAME);
+    frame[frame.length - 20] ^= 0xff;
+    const decoded = decodeMessage(frame);
+    assert.ok(decoded.decodeError);
+    assert.strictEqual(decoded.eventId, EVENT_IDS.CHAT_RESPONSE);
+});
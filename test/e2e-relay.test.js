@@ -0,0 +1,215 @@
+// 端到端：代理连接本地的 GLM 和豆包模拟服务器，按页面的用法走一遍 GLM /realtime、豆包 /realtime、/doubao-proxy 和按住说话
+
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { createGlmMockServer } = require('../mock/glm-mock-server');
+const { createDoubaoMockServer } = require('../mock/doubao-mock-server');
+const { EVENT_IDS, decodeMessage } = require('../providers/doubao-codec');
+
+// 16kHz PCM16 单声道，1 秒 32000 字节
+const INPUT_BYTES_PER_SECOND = 32000;
+const WAIT_TIMEOUT_MS = 3000;
+
+let glmMock;
+let doubaoMock;
+let server;
+let baseUrl;
+const glmUpstream = []; // GLM 模拟服务器收到的消息类型
+const doubaoUpstream = []; // 豆包模拟服务器收到的事件 ID
+
+test.before(async () => {
+    glmMock = createGlmMockServer({ port: 0, frameDelayMs: 2 });
+    // 豆包回复每段间隔 20ms，打断时回复还没发完
+    doubaoMock = createDoubaoMockServer({ port: 0, frameDelayMs: 20 });
+    await Promise.all([once(glmMock, 'listening'), once(doubaoMock, 'listening')]);
+    glmMock.on('connection', ws => ws.on('message', data => glmUpstream.push(JSON.parse(data.toString()).type)));
+    doubaoMock.on('connection', ws => ws.on('message', data => doubaoUpstream.push(decodeMessage(data).eventId)));
+
+    Object.assign(process.env, {
+        API_KEY: 'mock-key-123456789012345',
+        GLM_URL: `ws://127.0.0.1:${glmMock.address().port}`,
+        DOUBAO_URL: `ws://127.0.0.1:${doubaoMock.address().port}`,
+        DOUBAO_APP_ID: 'mock-app',
+        DOUBAO_ACCESS_KEY: 'mock-access-key',
+        DOUBAO_SECRET_KEY: 'mock-secret-key'
+    });
+    const { createServer, resolveMounts } = require('../lib/server');
+    server = createServer(resolveMounts(['glm', 'doubao']));
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `ws://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.close();
+    glmMock.close();
+    doubaoMock.close();
+});
+
+// 连接代理，记录收到的消息（二进制帧记为 { type: 'binary' }），waitFor(type) 等到下一条该类型的消息
+async function connect(path) {
+    const ws = new WebSocket(baseUrl + path);
+    const received = [];
+    let waiter = null;
+    ws.on('message', (data, isBinary) => {
+        received.push(isBinary ? { type: 'binary', bytes: data.length } : JSON.parse(data.toString()));
+        if (waiter) waiter();
+    });
+    let cursor = 0;
+    async function waitFor(type) {
+        const deadline = Date.now() + WAIT_TIMEOUT_MS;
+        for (;;) {
+            const index = received.findIndex((event, i) => i >= cursor && event.type === type);
+            if (index !== -1) {
+                cursor = index + 1;
+                return received[index];
+            }
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                throw new Error(`等待 ${type} 超时，已收到：${received.map(event => event.type).join(', ')}`);
+            }
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, remaining);
+                waiter = () => { clearTimeout(timer); resolve(); };
+            });
+            waiter = null;
+        }
+    }
+    await once(ws, 'open');
+    return { ws, received, waitFor, send: event => ws.send(JSON.stringify(event)) };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function silence(seconds) {
+    return Buffer.alloc(Math.round(INPUT_BYTES_PER_SECOND * seconds));
+}
+
+test('GLM /realtime：说完一句话后收到识别结果、回复文字和音频', async () => {
+    const client = await connect('/realtime/glm');
+    try {
+        client.send({ type: 'session.start', instructions: '你是语音助手' });
+        await client.waitFor('session.started');
+        client.send({ type: 'input_audio.append', audio: silence(2).toString('base64') });
+
+        assert.strictEqual((await client.waitFor('transcript.user')).text, '你好，你是谁？');
+        const started = await client.waitFor('response.started');
+        const audio = await client.waitFor('response.audio.delta');
+        assert.strictEqual(audio.response_id, started.response_id);
+        // 打断时用 item_id 截断这段回复（item.truncate）
+        assert.strictEqual(audio.item_id, 'mock_msg_1');
+        assert.ok(audio.audio.length > 0);
+        const text = await client.waitFor('response.text.done');
+        assert.strictEqual(text.text, '你好！我是你的语音助手，有什么可以帮你的吗？');
+        assert.strictEqual((await client.waitFor('response.done')).response_id, started.response_id);
+    } finally {
+        client.ws.close();
+    }
+});
+
+test('GLM 按住说话：关闭服务器 VAD，松开后 commit 才回复', async () => {
+    const client = await connect('/realtime/glm');
+    try {
+        client.send({ type: 'session.start', instructions: '你是语音助手', turn_detection: null });
+        await client.waitFor('session.started');
+        // 超过模拟服务器自动断句的 2 秒
+        client.send({ type: 'input_audio.append', audio: silence(2.5).toString('base64') });
+        await sleep(100);
+        assert.ok(!client.received.some(event => event.type === 'response.started'), '松开前不应回复');
+
+        const commitsBefore = glmUpstream.filter(type => type === 'input_audio_buffer.commit').length;
+        client.send({ type: 'input_audio.commit' });
+        await client.waitFor('response.started');
+        await client.waitFor('response.done');
+        assert.strictEqual(glmUpstream.filter(type => type === 'input_audio_buffer.commit').length, commitsBefore + 1);
+    } finally {
+        client.ws.close();
+    }
+});
+
+test('豆包 /realtime：文字输入得到识别结果、回复文字和音频', async () => {
+    const client = await connect('/realtime/doubao');
+    try {
+        client.send({ type: 'session.start', instructions: '你是语音助手' });
+        await client.waitFor('session.started');
+        client.send({ type: 'input_text', text: '一加一等于几' });
+
+        let transcript;
+        do {
+            transcript = await client.waitFor('transcript.user');
+        } while (!transcript.final);
+        assert.strictEqual(transcript.text, '一加一等于几');
+        await client.waitFor('response.started');
+        await client.waitFor('response.text.delta');
+        assert.ok((await client.waitFor('response.audio.delta')).audio.length > 0);
+        await client.waitFor('response.done');
+    } finally {
+        client.ws.close();
+    }
+});
+
+test('豆包按住说话：音频再多也要等 commit（EndASR）才回复', async () => {
+    const client = await connect('/realtime/doubao');
+    try {
+        client.send({ type: 'session.start', instructions: '你是语音助手', turn_detection: null });
+        await client.waitFor('session.started');
+        // 超过模拟服务器自动断句的 2 秒
+        client.send({ type: 'input_audio.append', audio: silence(2.5).toString('base64') });
+        await sleep(100);
+        assert.ok(!client.received.some(event => event.type === 'speech.started'), '松开前不应开始识别');
+
+        client.send({ type: 'input_audio.commit' });
+        await client.waitFor('speech.started');
+        await client.waitFor('response.done');
+    } finally {
+        client.ws.close();
+    }
+});
+
+test('豆包 /realtime：回复中 response.cancel 发送 ClientInterrupt，回复提前结束', async () => {
+    const client = await connect('/realtime/doubao');
+    try {
+        client.send({ type: 'session.start', instructions: '你是语音助手' });
+        await client.waitFor('session.started');
+        // 第一轮脚本回复分三段
+        client.send({ type: 'input_text', text: '请介绍一下你自己' });
+        await client.waitFor('response.text.delta');
+        client.send({ type: 'response.cancel' });
+
+        const done = await client.waitFor('response.done');
+        assert.strictEqual(done.status, 'cancelled');
+        assert.ok(doubaoUpstream.includes(EVENT_IDS.CLIENT_INTERRUPT));
+        assert.ok(client.received.filter(event => event.type === 'response.text.delta').length < 3, '打断后不应再收到剩下的回复');
+    } finally {
+        client.ws.close();
+    }
+});
+
+test('/doubao-proxy：二进制音频得到 ASR、对话文字和 TTS 音频', async () => {
+    const client = await connect('/doubao-proxy');
+    try {
+        client.send({ type: 'start_session', systemMessage: '你是语音助手' });
+        await client.waitFor('session_started');
+        client.ws.send(silence(2));
+
+        await client.waitFor('speech_started');
+        const asr = await client.waitFor('asr_response');
+        assert.ok(asr.results[0].text.length > 0);
+        await client.waitFor('speech_ended');
+        const chat = await client.waitFor('chat_response');
+        assert.ok(chat.content.length > 0);
+        assert.ok((await client.waitFor('binary')).bytes > 0);
+        const ended = await client.waitFor('chat_ended');
+        assert.strictEqual(ended.reply_id, chat.reply_id);
+        // 每段 TTS 音频只转发一次
+        assert.strictEqual(client.received.filter(event => event.type === 'binary').length, 3);
+    } finally {
+        client.ws.close();
+    }
+});
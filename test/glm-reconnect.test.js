@@ -0,0 +1,69 @@
+// GLM 上游断线重连：恢复会话期间客户端发来的 session.update 不能丢，恢复后上游用的是最新的配置
+
+process.env.LOG_LEVEL = 'error';
+process.env.API_KEY = 'mock-key-123456789012345';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { createGlmMockServer } = require('../mock/glm-mock-server');
+const { createServer, resolveMounts } = require('../lib/server');
+
+// 第一轮对话时断开；session.updated 晚一点回复，留出恢复会话的时间窗口
+const SCRIPT = {
+    sessionUpdated: [{ type: 'session.updated', session: '$session', $delay: 300 }],
+    turns: [[{ $close: 1011 }]]
+};
+
+test('恢复会话期间的 session.update 在恢复后发给上游', async () => {
+    const mock = createGlmMockServer({ port: 0, script: SCRIPT, frameDelayMs: 2 });
+    await once(mock, 'listening');
+    process.env.GLM_URL = `ws://127.0.0.1:${mock.address().port}`;
+    const server = createServer(resolveMounts(['glm']));
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    // 每个上游连接收到的 session.update 中的 instructions
+    const upstreamUpdates = [];
+    const client = new WebSocket(`ws://127.0.0.1:${server.address().port}/proxy`);
+    const received = [];
+    client.on('message', data => received.push(JSON.parse(data.toString()).type));
+    const waitFor = async type => {
+        while (!received.includes(type)) await once(client, 'message');
+        received.splice(received.indexOf(type), 1);
+    };
+
+    const restoreSent = new Promise(resolve => {
+        mock.on('connection', ws => {
+            const updates = [];
+            upstreamUpdates.push(updates);
+            ws.on('message', data => {
+                const msg = JSON.parse(data.toString());
+                if (msg.type !== 'session.update') return;
+                updates.push(msg.session.instructions);
+                if (upstreamUpdates.length === 2 && updates.length === 1) resolve();
+            });
+        });
+    });
+
+    try {
+        await once(client, 'open');
+        client.send(JSON.stringify({ type: 'session.update', session: { instructions: 'v1' } }));
+        await waitFor('session.updated');
+        client.send(JSON.stringify({ type: 'input_audio_buffer.commit' }));
+
+        // 代理重连后重放了 v1，还在等 session.updated 时客户端改成 v2
+        await restoreSent;
+        client.send(JSON.stringify({ type: 'session.update', session: { instructions: 'v2' } }));
+        await waitFor('proxy.reconnected');
+        // 恢复后代理立即补发 v2，稍等上游收到
+        await new Promise(resolve => setTimeout(resolve, 200));
+
+        assert.deepStrictEqual(upstreamUpdates, [['v1'], ['v1', 'v2']]);
+    } finally {
+        client.close();
+        server.close();
+        mock.close();
+    }
+});
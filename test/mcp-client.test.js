@@ -0,0 +1,135 @@
+// MCP 客户端的大小和时间限制：用本机的假 MCP 服务模拟超大响应、没完没了的 SSE 流和不返回数据的服务
+// 以及 /api/mcp-proxy、/api/mcp/* 对不是 JSON 对象的请求体返回 400
+
+process.env.MCP_ALLOW_PRIVATE_HOSTS = 'true';
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createMcpClient, McpError } = require('../lib/mcp-client');
+const { handleMcpProxy, handleMcpApi } = require('../lib/mcp-proxy');
+
+const log = { debug() {}, info() {}, warn() {}, error() {}, isDebugEnabled: () => false };
+const LIMITS = { maxBodyBytes: 1024, maxResponseBytes: 4096, connectTimeoutMs: 1000, readTimeoutMs: 300 };
+
+// handler(req, res, message)：message 为解析后的 JSON-RPC 请求
+function startServer(handler) {
+    return new Promise(resolve => {
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => handler(req, res, body ? JSON.parse(body) : null));
+        });
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+function initializeResult(id) {
+    return { jsonrpc: '2.0', id, result: { protocolVersion: '2025-06-18', capabilities: {}, serverInfo: { name: 'test' } } };
+}
+
+// 正常握手，tools/list 交给 onList 处理
+function mcpServer(onList) {
+    return startServer((req, res, message) => {
+        if (!message || !message.id) {
+            res.writeHead(202);
+            res.end();
+            return;
+        }
+        if (message.method === 'initialize') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(initializeResult(message.id)));
+            return;
+        }
+        onList(req, res, message);
+    });
+}
+
+async function withClient(server, run) {
+    const client = createMcpClient({ url: `http://127.0.0.1:${server.address().port}/mcp`, limits: LIMITS, log });
+    try {
+        await run(client);
+    } finally {
+        client.close();
+        server.closeAllConnections();
+        server.close();
+    }
+}
+
+test('响应在限制之内时正常返回', async () => {
+    const server = await mcpServer((req, res, message) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: { tools: [{ name: 'echo' }] } }));
+    });
+    await withClient(server, async client => {
+        assert.deepStrictEqual((await client.listTools()).map(t => t.name), ['echo']);
+    });
+});
+
+test('JSON 响应超过 maxResponseBytes 时失败', async () => {
+    const server = await mcpServer((req, res, message) => {
+        // 不声明长度，边读边计数
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: { tools: [], padding: 'x'.repeat(10000) } }));
+    });
+    await withClient(server, async client => {
+        await assert.rejects(client.listTools(), e => e instanceof McpError && e.code === 'too_large');
+    });
+});
+
+test('SSE 响应一直不给结果时，超过 maxResponseBytes 即断开', async () => {
+    let timer;
+    const server = await mcpServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        timer = setInterval(() => res.write(`data: ${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/progress', params: { p: 'x'.repeat(500) } })}\n\n`), 5);
+    });
+    await withClient(server, async client => {
+        await assert.rejects(client.listTools(), e => e instanceof McpError && e.code === 'too_large');
+    });
+    clearInterval(timer);
+});
+
+test('连接后一直不返回数据时按读取超时失败', async () => {
+    const server = await mcpServer(() => {});
+    await withClient(server, async client => {
+        await assert.rejects(client.listTools(), e => e instanceof McpError && e.code === 'timeout');
+    });
+});
+
+test('响应体读到一半停住时按读取超时失败', async () => {
+    const server = await mcpServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.write('{"jsonrpc":"2.0",');
+    });
+    await withClient(server, async client => {
+        await assert.rejects(client.listTools(), e => e instanceof McpError && e.code === 'timeout');
+    });
+});
+
+test('请求体不是 JSON 对象时 MCP 接口返回 400', async () => {
+    const server = http.createServer((req, res) => {
+        req.log = log;
+        if (req.url === '/api/mcp-proxy') {
+            handleMcpProxy(req, res);
+        } else {
+            handleMcpApi(req, res);
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        for (const path of ['/api/mcp-proxy', '/api/mcp/tools', '/api/mcp/call']) {
+            for (const body of ['null', '[]', '"http://127.0.0.1/mcp"']) {
+                const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body
+                });
+                assert.strictEqual(response.status, 400, `${path} ${body}`);
+                assert.strictEqual((await response.json()).error, 'Request body must be a JSON object');
+            }
+        }
+    } finally {
+        server.close();
+    }
+});
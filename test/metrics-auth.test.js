@@ -0,0 +1,62 @@
+// /metrics 的访问控制：没有 METRICS_TOKEN 时，启用认证就只有管理员能抓取；设置后只认 METRICS_TOKEN
+
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { createServer } = require('../lib/server');
+const { createAuthenticator, staticTokenStrategy } = require('../lib/auth');
+
+const tokensDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-auth-'));
+const tokensFile = path.join(tokensDir, 'tokens.json');
+fs.writeFileSync(tokensFile, JSON.stringify({
+    tokens: [
+        { token: 'admin-token', user: 'ops', admin: true },
+        { token: 'user-token', user: 'alice', providers: ['glm'] }
+    ]
+}));
+
+test.after(() => {
+    delete process.env.METRICS_TOKEN;
+    fs.rmSync(tokensDir, { recursive: true, force: true });
+});
+
+async function scrape(auth, token) {
+    const server = createServer([], { auth });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/metrics`, {
+            headers: token ? { Authorization: `Bearer ${token}` } : {}
+        });
+        await response.text();
+        return response.status;
+    } finally {
+        server.close();
+    }
+}
+
+test('启用认证且没有 METRICS_TOKEN 时需要管理员令牌', async () => {
+    delete process.env.METRICS_TOKEN;
+    const auth = createAuthenticator({ strategies: [staticTokenStrategy(tokensFile)] });
+    assert.strictEqual(await scrape(auth), 401);
+    assert.strictEqual(await scrape(auth, 'user-token'), 403);
+    assert.strictEqual(await scrape(auth, 'admin-token'), 200);
+});
+
+test('设置 METRICS_TOKEN 后只认这个令牌', async () => {
+    process.env.METRICS_TOKEN = 'scrape-token';
+    const auth = createAuthenticator({ strategies: [staticTokenStrategy(tokensFile)] });
+    assert.strictEqual(await scrape(auth, 'scrape-token'), 200);
+    assert.strictEqual(await scrape(auth, 'admin-token'), 401);
+    assert.strictEqual(await scrape(auth), 401);
+});
+
+test('未启用认证且没有 METRICS_TOKEN 时不需要令牌', async () => {
+    delete process.env.METRICS_TOKEN;
+    assert.strictEqual(await scrape(createAuthenticator()), 200);
+});
@@ -0,0 +1,114 @@
+// 播放 worklet（web/pcm-playback-worklet.js）：片段衔接处的跳变被平滑，连续的音频不受影响；
+// 抖动缓冲期间打断时报告新片段的标签和 0，而不是上一段音频的进度
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SAMPLE_RATE = 24000;
+const RENDER_QUANTUM = 128;
+const source = fs.readFileSync(path.join(__dirname, '..', 'web', 'pcm-playback-worklet.js'), 'utf8');
+
+// 在模拟的 AudioWorkletGlobalScope 中创建处理器，messages 为处理器发给页面的消息
+function createProcessor(processorOptions) {
+    let Processor;
+    vm.runInNewContext(source, {
+        sampleRate: SAMPLE_RATE,
+        AudioWorkletProcessor: class {
+            constructor() {
+                this.port = { postMessage: message => messages.push(message) };
+            }
+        },
+        registerProcessor: (name, cls) => { Processor = cls; }
+    });
+    const messages = [];
+    const processor = new Processor({ processorOptions });
+    return {
+        messages,
+        send: data => processor.port.onmessage({ data }),
+        push: (samples, tag) => processor.port.onmessage({ data: { type: 'push', pcm: Int16Array.from(samples).buffer, tag } }),
+        // 渲染 quanta 个 128 采样的块，返回输出
+        render(quanta) {
+            const output = new Float32Array(quanta * RENDER_QUANTUM);
+            for (let q = 0; q < quanta; q++) {
+                const block = new Float32Array(RENDER_QUANTUM);
+                processor.process([], [[block]]);
+                output.set(block, q * RENDER_QUANTUM);
+            }
+            return output;
+        }
+    };
+}
+
+function maxStep(samples, from, to) {
+    let max = 0;
+    for (let i = Math.max(1, from); i < to; i++) {
+        max = Math.max(max, Math.abs(samples[i] - samples[i - 1]));
+    }
+    return max;
+}
+
+test('片段之间有跳变时平滑过渡，不出现爆音', () => {
+    const player = createProcessor({ jitterMs: 0, crossfadeMs: 8 });
+    // 两个片段各 50ms：前一段是 0.5 的直流，后一段突然跳到 -0.5
+    const length = SAMPLE_RATE / 20;
+    player.push(new Array(length).fill(16384), 'a');
+    player.push(new Array(length).fill(-16384), 'a');
+    const output = player.render(Math.ceil(2 * length / RENDER_QUANTUM) + 1);
+
+    const start = output.findIndex(value => value !== 0);
+    const seam = start + length;
+    const crossfade = SAMPLE_RATE * 8 / 1000;
+    // 跳变 1.0 分散到 crossfadeMs 内，每个采样的变化不超过 1 / crossfade 的两倍
+    assert.ok(maxStep(output, seam - 2, seam + crossfade + 2) <= 2 / crossfade, '衔接处有跳变');
+    // 过渡结束后回到新片段的值
+    assert.ok(Math.abs(output[seam + crossfade + 10] + 0.5) < 1e-6);
+});
+
+test('连续的音频分成片段后与一整段播放的结果相同', () => {
+    const length = SAMPLE_RATE / 10;
+    const sine = Array.from({ length }, (_, i) => Math.round(10000 * Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE)));
+
+    const whole = createProcessor({ jitterMs: 0 });
+    whole.push(sine, 'a');
+    const expected = whole.render(20);
+
+    const chunked = createProcessor({ jitterMs: 0 });
+    for (let offset = 0; offset < length; offset += 240) {
+        chunked.push(sine.slice(offset, offset + 240), 'a');
+    }
+    const output = chunked.render(20);
+    for (let i = 0; i < length; i++) {
+        assert.ok(Math.abs(output[i] - expected[i]) < 0.01, `第 ${i} 个采样相差 ${output[i] - expected[i]}`);
+    }
+});
+
+test('抖动缓冲期间打断时报告新片段的标签，播放进度为 0', () => {
+    const player = createProcessor({ jitterMs: 80 });
+    // 第一段回复播完
+    player.push(new Array(SAMPLE_RATE / 10).fill(1000), 'item_1');
+    player.render(40);
+    // 第二段回复还在抖动缓冲中（不到 80ms，也没等满 80ms）
+    player.push(new Array(SAMPLE_RATE / 100).fill(1000), 'item_2');
+    player.render(1);
+    player.send({ type: 'flush' });
+
+    const flushed = player.messages.find(message => message.type === 'flushed');
+    assert.strictEqual(flushed.tag, 'item_2');
+    assert.strictEqual(flushed.tagPlayed, 0);
+});
+
+test('播放中打断时报告当前标签实际播放的采样数', () => {
+    const player = createProcessor({ jitterMs: 0, crossfadeMs: 8 });
+    player.push(new Array(SAMPLE_RATE).fill(1000), 'item_1');
+    player.render(10);
+    player.send({ type: 'flush' });
+    player.render(2);
+
+    const flushed = player.messages.find(message => message.type === 'flushed');
+    assert.strictEqual(flushed.tag, 'item_1');
+    // 10 个块加上淡出的 8ms
+    assert.strictEqual(flushed.tagPlayed, 10 * RENDER_QUANTUM + SAMPLE_RATE * 8 / 1000);
+});
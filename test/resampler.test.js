@@ -0,0 +1,85 @@
+// 重采样（web/resampler.js）：通带增益为 1，48kHz → 16kHz 时新奈奎斯特频率（8kHz）以上被滤掉，分段处理与一次处理结果相同
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createResampler, resample, kernelParams } = require('../web/resampler');
+
+const AMPLITUDE = 0.5;
+
+function sine(frequency, rate, seconds) {
+    const samples = new Float32Array(Math.round(rate * seconds));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = AMPLITUDE * Math.sin(2 * Math.PI * frequency * i / rate);
+    }
+    return samples;
+}
+
+// 输出相对输入正弦波的增益（dB），去掉两端滤波器还没填满的部分
+function gainDb(output, inputRate, outputRate) {
+    const skip = Math.ceil(kernelParams(inputRate, outputRate).halfWidth * outputRate / inputRate) + 1;
+    let sum = 0;
+    for (let i = skip; i < output.length - skip; i++) {
+        sum += output[i] * output[i];
+    }
+    const rms = Math.sqrt(sum / (output.length - 2 * skip));
+    return 20 * Math.log10(rms / (AMPLITUDE / Math.SQRT2));
+}
+
+// 固定种子的伪随机噪声，结果可重复
+function noise(length, seed = 1) {
+    const samples = new Float32Array(length);
+    let state = seed;
+    for (let i = 0; i < length; i++) {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        samples[i] = state / 0x100000000 * 2 - 1;
+    }
+    return samples;
+}
+
+for (const inputRate of [48000, 44100]) {
+    test(`通带增益为 1：${inputRate}Hz → 16kHz`, () => {
+        for (const frequency of [100, 1000, 3000, 6000]) {
+            const output = resample(sine(frequency, inputRate, 0.5), inputRate, 16000);
+            const gain = gainDb(output, inputRate, 16000);
+            assert.ok(Math.abs(gain) < 0.05, `${frequency}Hz 增益 ${gain.toFixed(3)}dB`);
+        }
+    });
+}
+
+test('48kHz → 16kHz：8kHz 以上的信号被滤掉，不会混叠到通带', () => {
+    // 8.5kHz 还在过渡带边缘，再往上至少衰减 70dB
+    const limits = [[8500, -50], [9000, -70], [12000, -70], [16000, -70], [20000, -70], [23000, -70]];
+    for (const [frequency, maxDb] of limits) {
+        const output = resample(sine(frequency, 48000, 0.5), 48000, 16000);
+        const gain = gainDb(output, 48000, 16000);
+        assert.ok(gain < maxDb, `${frequency}Hz 衰减不足：${gain.toFixed(1)}dB`);
+    }
+});
+
+test('输出长度与采样率之比一致', () => {
+    assert.strictEqual(resample(new Float32Array(48000), 48000, 16000).length, 16000);
+    assert.strictEqual(resample(new Float32Array(44100), 44100, 16000).length, 16000);
+});
+
+test('分段处理与一次处理结果相同（分段边界任意）', () => {
+    const input = noise(44100);
+    for (const [inputRate, outputRate] of [[48000, 16000], [44100, 16000], [16000, 24000]]) {
+        const expected = resample(input, inputRate, outputRate);
+        // 包括 1 个采样、比插值核还短、以及 worklet 常见的 128 个采样的分段
+        const sizes = [1, 7, 128, 3, 500, 128, 2048, 64];
+        const resampler = createResampler(inputRate, outputRate);
+        const parts = [];
+        for (let offset = 0, i = 0; offset < input.length; i++) {
+            const size = sizes[i % sizes.length];
+            parts.push(resampler.process(input.subarray(offset, offset + size)));
+            offset += size;
+        }
+        parts.push(resampler.flush());
+        const streamed = Float32Array.from(parts.flatMap(part => Array.from(part)));
+
+        assert.strictEqual(streamed.length, expected.length, `${inputRate} → ${outputRate} 长度`);
+        for (let i = 0; i < expected.length; i++) {
+            assert.ok(Math.abs(streamed[i] - expected[i]) < 1e-6, `${inputRate} → ${outputRate} 第 ${i} 个采样不同`);
+        }
+    }
+});
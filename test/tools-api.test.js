@@ -0,0 +1,120 @@
+// 页面调用内置工具的接口（POST /api/tools/call）按 TOOLS_CONFIG 中的策略检查：deny 拒绝，confirm 需要带上 409 返回的确认令牌
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const configFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tools-api-')), 'tools.json');
+fs.writeFileSync(configFile, JSON.stringify({
+    tools: { calculate: { policy: 'deny' }, notes: { policy: 'confirm' } }
+}));
+process.env.TOOLS_CONFIG = configFile;
+
+const { registerBuiltinTools, handleToolsApi } = require('../lib/local-tools');
+
+const log = { debug() {}, info() {}, warn() {}, error() {}, isDebugEnabled: () => false };
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    registerBuiltinTools({});
+    server = http.createServer((req, res) => {
+        req.log = log;
+        handleToolsApi(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(path.dirname(configFile), { recursive: true, force: true });
+});
+
+async function post(rawBody) {
+    const response = await fetch(`${baseUrl}/api/tools/call`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: rawBody
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+function callTool(body) {
+    return post(JSON.stringify(Object.assign({ session_id: 'test' }, body)));
+}
+
+test('请求体不是 JSON 对象时返回 400', async () => {
+    for (const rawBody of ['null', '[]', '42', '"notes"', '{']) {
+        const { status } = await post(rawBody);
+        assert.strictEqual(status, 400, rawBody);
+    }
+});
+
+test('策略为 auto 的工具直接执行', async () => {
+    const { status, body } = await callTool({ name: 'convert_unit', arguments: { value: 1, from: 'km', to: 'm' } });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.is_error, false);
+});
+
+test('策略为 deny 的工具返回 403，不执行', async () => {
+    const { status, body } = await callTool({ name: 'calculate', arguments: { expression: '1+1' }, confirmed: true });
+    assert.strictEqual(status, 403);
+    assert.strictEqual(body.policy, 'deny');
+    assert.strictEqual(JSON.parse(body.output).reason, 'denied');
+});
+
+// 先取确认令牌再带上令牌调用，返回第二次请求的结果
+async function confirmAndCall(body) {
+    const first = await callTool(body);
+    assert.strictEqual(first.status, 409);
+    return callTool(Object.assign({ confirmation_token: first.body.confirmation_token }, body));
+}
+
+test('策略为 confirm 的工具没有确认令牌时返回 409，带上令牌后执行', async () => {
+    const args = { action: 'add', text: '复习第三课' };
+    const first = await callTool({ name: 'notes', arguments: args });
+    assert.strictEqual(first.status, 409);
+    assert.strictEqual(first.body.requires_confirmation, true);
+    assert.match(first.body.confirmation_token, /^[0-9a-f]{32}$/);
+
+    // 未确认的请求不能写入笔记
+    const listed = await confirmAndCall({ name: 'notes', arguments: { action: 'list' } });
+    assert.strictEqual(listed.status, 200);
+    assert.doesNotMatch(listed.body.output, /复习第三课/);
+
+    const confirmed = await callTool({ name: 'notes', arguments: args, confirmation_token: first.body.confirmation_token });
+    assert.strictEqual(confirmed.status, 200);
+    assert.strictEqual(confirmed.body.is_error, false);
+});
+
+test('策略为 confirm 的工具只带 confirmed 或无效的确认令牌时不执行', async () => {
+    const args = { action: 'add', text: '不该写入' };
+    const rejected = [
+        { confirmed: true },
+        { confirmation_token: 'forged' },
+        { confirmation_token: 123 }
+    ];
+    for (const extra of rejected) {
+        const { status } = await callTool(Object.assign({ name: 'notes', arguments: args }, extra));
+        assert.strictEqual(status, 409, JSON.stringify(extra));
+    }
+
+    // 令牌只对发出时的参数、工具和会话有效
+    const issued = (await callTool({ name: 'notes', arguments: args })).body.confirmation_token;
+    assert.strictEqual((await callTool({ name: 'notes', arguments: { action: 'clear' }, confirmation_token: issued })).status, 409);
+    const otherSession = (await callTool({ name: 'notes', arguments: args })).body.confirmation_token;
+    assert.strictEqual((await callTool({ name: 'notes', arguments: args, session_id: 'other', confirmation_token: otherSession })).status, 409);
+
+    // 令牌只能用一次
+    const token = (await callTool({ name: 'notes', arguments: { action: 'list' } })).body.confirmation_token;
+    assert.strictEqual((await callTool({ name: 'notes', arguments: { action: 'list' }, confirmation_token: token })).status, 200);
+    assert.strictEqual((await callTool({ name: 'notes', arguments: { action: 'list' }, confirmation_token: token })).status, 409);
+
+    const listed = await confirmAndCall({ name: 'notes', arguments: { action: 'list' } });
+    assert.doesNotMatch(listed.body.output, /不该写入/);
+});
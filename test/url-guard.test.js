@@ -0,0 +1,110 @@
+// MCP 目标检查（lib/url-guard.js）：内网地址段、MCP_ALLOWED_HOSTS 白名单，以及连接时检查主机名解析出的地址（防 DNS 重绑定）
+
+const test = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const { BlockedTargetError, isPrivateAddress, guardTarget } = require('../lib/url-guard');
+
+function assertBlocked(targetUrl, env = {}) {
+    assert.throws(() => guardTarget(targetUrl, env), e => e instanceof BlockedTargetError && e.status === 403, targetUrl);
+}
+
+// 用 guardTarget 返回的 lookup 解析主机名，得到 http.request 拿到的地址或错误
+function resolve(guard, hostname, options = {}) {
+    return new Promise((resolvePromise, reject) => {
+        guard.lookup(hostname, options, (err, address, family) => {
+            if (err) reject(err);
+            else resolvePromise(options.all ? address : { address, family });
+        });
+    });
+}
+
+// 让 dns.lookup 把任意主机名解析为给定的地址
+function mockDns(t, addresses) {
+    t.mock.method(dns, 'lookup', (name, options, callback) => {
+        callback(null, addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+    });
+}
+
+test('私有、回环、链路本地和 IPv4 映射的 IPv6 地址都不是公网地址', () => {
+    const blocked = [
+        '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '100.64.0.1',
+        '127.0.0.1', '127.255.255.254', '::1',
+        '169.254.169.254', 'fe80::1', 'fc00::1', 'fd12:3456::1',
+        '0.0.0.0', '::', '224.0.0.1',
+        '::ffff:127.0.0.1', '::ffff:10.0.0.1', '::ffff:169.254.169.254', '::ffff:7f00:1'
+    ];
+    blocked.forEach(address => assert.strictEqual(isPrivateAddress(address), true, address));
+    ['8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8'].forEach(address => {
+        assert.strictEqual(isPrivateAddress(address), false, address);
+    });
+});
+
+test('URL 中直接写内网 IP 时拒绝', () => {
+    [
+        'http://10.0.0.1/mcp', 'http://192.168.0.10:8080/mcp', 'http://127.0.0.1:3000/mcp',
+        'http://169.254.169.254/latest/meta-data', 'http://[::1]/mcp', 'http://[fe80::1]/mcp',
+        'http://[::ffff:127.0.0.1]/mcp', 'http://[::ffff:10.0.0.1]/mcp'
+    ].forEach(targetUrl => assertBlocked(targetUrl));
+    assert.deepStrictEqual(guardTarget('https://8.8.8.8/mcp', {}), {});
+});
+
+test('只允许 http 和 https', () => {
+    assertBlocked('file:///etc/passwd');
+    assertBlocked('ftp://example.com/mcp');
+    assertBlocked('not a url');
+});
+
+test('MCP_ALLOW_PRIVATE_HOSTS=true 时允许内网地址', () => {
+    assert.deepStrictEqual(guardTarget('http://127.0.0.1:3000/mcp', { MCP_ALLOW_PRIVATE_HOSTS: 'true' }), {});
+});
+
+test('白名单：不在列表中的主机拒绝，端口不符也拒绝', () => {
+    const env = { MCP_ALLOWED_HOSTS: 'mcp.example.com, api.example.org:8443' };
+    assertBlocked('https://other.example.com/mcp', env);
+    assertBlocked('https://api.example.org/mcp', env);
+    assert.deepStrictEqual(guardTarget('https://mcp.example.com/mcp', env), {});
+    assert.deepStrictEqual(guardTarget('https://api.example.org:8443/mcp', env), {});
+});
+
+test('白名单：明确列出的内网主机允许访问，不检查解析出的地址', () => {
+    const env = { MCP_ALLOWED_HOSTS: '10.0.0.5:9000,[::1]:3000,mcp.internal' };
+    assert.deepStrictEqual(guardTarget('http://10.0.0.5:9000/mcp', env), {});
+    assert.deepStrictEqual(guardTarget('http://[::1]:3000/mcp', env), {});
+    assert.deepStrictEqual(guardTarget('http://mcp.internal/mcp', env), {});
+    assertBlocked('http://10.0.0.5:9001/mcp', env);
+});
+
+test('白名单：通配符只匹配子域名，仍然检查内网地址', async t => {
+    const env = { MCP_ALLOWED_HOSTS: '*.example.com' };
+    assertBlocked('https://example.com/mcp', env);
+    assertBlocked('https://evil-example.com/mcp', env);
+
+    const guard = guardTarget('https://tools.example.com/mcp', env);
+    mockDns(t, ['10.0.0.8']);
+    await assert.rejects(resolve(guard, 'tools.example.com'), BlockedTargetError);
+    mockDns(t, ['93.184.216.34']);
+    assert.deepStrictEqual(await resolve(guard, 'tools.example.com'), { address: '93.184.216.34', family: 4 });
+});
+
+test('主机名解析到回环或私有地址时连接失败（防 DNS 重绑定）', async t => {
+    const guard = guardTarget('https://rebind.example.net/mcp', {});
+    for (const address of ['127.0.0.1', '10.1.2.3', '::ffff:127.0.0.1', 'fe80::1']) {
+        mockDns(t, [address]);
+        await assert.rejects(resolve(guard, 'rebind.example.net'), e => e instanceof BlockedTargetError && e.message.includes(address));
+    }
+    // 解析出的地址中只要有一个是内网地址就拒绝
+    mockDns(t, ['93.184.216.34', '127.0.0.1']);
+    await assert.rejects(resolve(guard, 'rebind.example.net', { all: true }), BlockedTargetError);
+
+    mockDns(t, ['93.184.216.34', '2606:2800:220:1::1']);
+    assert.deepStrictEqual(
+        (await resolve(guard, 'rebind.example.net', { all: true })).map(a => a.address),
+        ['93.184.216.34', '2606:2800:220:1::1']
+    );
+});
+
+test('不替换 DNS 时 localhost 解析到回环地址也被拒绝', async () => {
+    const guard = guardTarget('http://localhost:3000/mcp', {});
+    await assert.rejects(resolve(guard, 'localhost'), BlockedTargetError);
+});
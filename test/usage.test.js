@@ -0,0 +1,34 @@
+// 用量存储读取会话记录（sessions.jsonl）时跳过损坏的行，报表照常返回其余会话
+
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createUsageStore, dateKey } = require('../lib/usage');
+
+test('sessions.jsonl 中有损坏的行时跳过这些行', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-'));
+    try {
+        const startedAt = new Date().toISOString();
+        const session = user => JSON.stringify({ user, provider: 'glm', started_at: startedAt, usage: { sessions: 1 } });
+        fs.writeFileSync(path.join(dir, 'sessions.jsonl'), [
+            session('alice'),
+            '{"user":"bob","started_at":',
+            'null',
+            'not json',
+            session('carol'),
+            // 写到一半的最后一行
+            session('dave').slice(0, 20)
+        ].join('\n'));
+
+        const store = createUsageStore({ dir });
+        const today = dateKey();
+        const report = store.report({ from: today, to: today, includeSessions: true });
+        assert.deepStrictEqual(report.sessions.map(s => s.user), ['alice', 'carol']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,146 @@
+// 麦克风采集：由 AudioWorklet（web/pcm-capture-worklet.js）在音频线程把 Float32 转换为 PCM16 并按固定帧长分帧，
+// 主线程只负责发送和更新音量条，页面繁忙时采集也不会断续。GLM 和豆包两个前端页面共用
+// 浏览器不按要求的采样率运行 AudioContext 时，worklet 用 web/resampler.js 重采样，输出始终是要求的采样率
+//
+// AudioWorklet 要求页面通过 http(s) 访问（localhost 或 HTTPS），直接打开 file:// 页面时无法加载
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.AudioCapture = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // 可选的帧长（毫秒）：帧越短延迟越低，消息数越多
+    const FRAME_DURATIONS_MS = [20, 40, 100];
+    const DEFAULT_FRAME_MS = 100;
+
+    // worklet 模块与本脚本放在同一目录；重采样模块先加载，worklet 通过全局的 AudioResampler 使用
+    const SCRIPT_BASE = typeof document !== 'undefined' && document.currentScript
+        ? document.currentScript.src
+        : null;
+    const WORKLET_MODULES = ['resampler.js', 'pcm-capture-worklet.js'].map(name =>
+        SCRIPT_BASE ? new URL(name, SCRIPT_BASE).href : `web/${name}`);
+
+    function normalizeFrameMs(value) {
+        const ms = Number(value);
+        return FRAME_DURATIONS_MS.includes(ms) ? ms : DEFAULT_FRAME_MS;
+    }
+
+    async function createCaptureContext(sampleRate) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        let context;
+        try {
+            context = sampleRate ? new AudioContextClass({ sampleRate }) : new AudioContextClass();
+        } catch (error) {
+            // 不支持指定采样率时用默认采样率，由 worklet 重采样
+            context = new AudioContextClass();
+        }
+        if (!context.audioWorklet) {
+            context.close();
+            throw new Error('当前浏览器不支持 AudioWorklet，请通过 localhost 或 HTTPS 访问页面');
+        }
+        try {
+            for (const url of WORKLET_MODULES) {
+                await context.audioWorklet.addModule(url);
+            }
+        } catch (error) {
+            context.close();
+            throw error;
+        }
+        return context;
+    }
+
+    // 打开麦克风开始采集，返回 { context, stream, sampleRate, inputSampleRate, frameMs, stop }
+    // sampleRate 为输出的 PCM16 采样率，inputSampleRate 为 AudioContext 实际运行的采样率
+    // onFrame(pcm, { peak, rms, sampleRate })：pcm 为一帧 PCM16 单声道 ArrayBuffer，peak / rms 为 0~1 的音量
+    // audio 为额外的 getUserMedia 音频约束
+    async function startAudioCapture({ sampleRate = 16000, frameMs = DEFAULT_FRAME_MS, audio = {}, onFrame }) {
+        let context = await createCaptureContext(sampleRate);
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({
+                audio: Object.assign({
+                    sampleRate,
+                    channelCount: 1,
+                    echoCancellation: true,
+                    noiseSuppression: true,
+                    autoGainControl: true
+                }, audio)
+            });
+        } catch (error) {
+            context.close();
+            throw error;
+        }
+
+        let source;
+        try {
+            source = context.createMediaStreamSource(stream);
+        } catch (error) {
+            // 部分浏览器（如 Firefox）不允许把麦克风接到采样率不同的 AudioContext，改用默认采样率后重采样
+            context.close();
+            try {
+                context = await createCaptureContext(null);
+                source = context.createMediaStreamSource(stream);
+            } catch (fallbackError) {
+                stream.getTracks().forEach(track => track.stop());
+                if (context.state !== 'closed') context.close();
+                throw fallbackError;
+            }
+        }
+
+        const frameDuration = normalizeFrameMs(frameMs);
+        const node = new AudioWorkletNode(context, 'pcm-capture', {
+            channelCount: 1,
+            channelCountMode: 'explicit',
+            processorOptions: { frameMs: frameDuration, targetRate: sampleRate }
+        });
+        node.port.onmessage = (event) => {
+            if (event.data.type === 'frame') {
+                onFrame(event.data.pcm, { peak: event.data.peak, rms: event.data.rms, sampleRate });
+            }
+        };
+        source.connect(node);
+        // 接到输出上保证处理器持续运行，处理器本身不输出声音
+        node.connect(context.destination);
+
+        let stopped = false;
+        function stop() {
+            if (stopped) return;
+            stopped = true;
+            node.port.postMessage({ type: 'flush' });
+            source.disconnect();
+            node.disconnect();
+            stream.getTracks().forEach(track => track.stop());
+            // 等最后一帧发回后再关闭
+            setTimeout(() => {
+                node.port.onmessage = null;
+                if (context.state !== 'closed') {
+                    context.close().catch(() => {});
+                }
+            }, 50);
+        }
+
+        return { context, stream, sampleRate, inputSampleRate: context.sampleRate, frameMs: frameDuration, stop };
+    }
+
+    // PCM16 ArrayBuffer 转 base64，分块转换避免展开大数组时栈溢出
+    function pcmToBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    return {
+        FRAME_DURATIONS_MS,
+        DEFAULT_FRAME_MS,
+        normalizeFrameMs,
+        startAudioCapture,
+        pcmToBase64
+    };
+});
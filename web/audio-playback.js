@@ -0,0 +1,173 @@
+// AI 语音播放：由 AudioWorklet（web/pcm-playback-worklet.js）在音频线程按顺序播放 PCM16 片段，GLM 和豆包两个前端页面共用
+// 抖动缓冲：先攒够 jitterMs 毫秒的音频（或等满同样的时长）再开始播放，网络抖动时不会一段一段地卡顿
+// 衔接：连续片段逐采样衔接，衔接处的跳变在 crossfadeMs 毫秒内平滑过渡；队列播空和恢复时淡出 / 淡入 crossfadeMs 毫秒，避免爆音
+// 播放进度：push 时可以附带标签，flush() 返回被打断时该标签实际播放到的毫秒数，用于打断时截断对话内容
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.AudioPlayback = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // 可选的抖动缓冲时长（毫秒）：越长越不容易卡顿，开始播放的延迟也越大
+    const JITTER_BUFFER_MS = [0, 40, 80, 160, 320];
+    const DEFAULT_JITTER_MS = 80;
+    const DEFAULT_CROSSFADE_MS = 8;
+    // 保留播放进度的标签数，更早的丢弃
+    const MAX_TRACKED_TAGS = 50;
+
+    // worklet 模块与本脚本放在同一目录
+    const WORKLET_URL = typeof document !== 'undefined' && document.currentScript
+        ? new URL('pcm-playback-worklet.js', document.currentScript.src).href
+        : 'web/pcm-playback-worklet.js';
+
+    function normalizeJitterMs(value) {
+        if (value === null || value === undefined || value === '') return DEFAULT_JITTER_MS;
+        const ms = Number(value);
+        return JITTER_BUFFER_MS.includes(ms) ? ms : DEFAULT_JITTER_MS;
+    }
+
+    // 创建播放器，返回 { context, sampleRate, jitterMs, push, flush, playedMs, isActive, bufferedMs, setJitterMs, resume, close }
+    // onStateChange(active)：开始播放或全部播完时调用
+    async function createAudioPlayer({ sampleRate = 24000, jitterMs = DEFAULT_JITTER_MS, crossfadeMs = DEFAULT_CROSSFADE_MS, onStateChange } = {}) {
+        const context = new (window.AudioContext || window.webkitAudioContext)({ sampleRate });
+        if (!context.audioWorklet) {
+            context.close();
+            throw new Error('当前浏览器不支持 AudioWorklet，请通过 localhost 或 HTTPS 访问页面');
+        }
+        try {
+            await context.audioWorklet.addModule(WORKLET_URL);
+        } catch (error) {
+            context.close();
+            throw error;
+        }
+
+        const node = new AudioWorkletNode(context, 'pcm-playback', {
+            numberOfInputs: 0,
+            outputChannelCount: [1],
+            processorOptions: { jitterMs: normalizeJitterMs(jitterMs), crossfadeMs }
+        });
+        node.connect(context.destination);
+
+        const played = new Map();  // 标签 -> 已播放的采样数
+        let pending = 0;           // 已发出但还没被播放的采样数（按最近一次进度报告估算）
+        let active = false;
+        let flushWaiters = [];
+        let closed = false;
+
+        function setActive(value) {
+            if (active === value) return;
+            active = value;
+            if (onStateChange) onStateChange(active);
+        }
+
+        function track(tag, samples) {
+            if (tag === null || tag === undefined) return;
+            played.delete(tag);
+            played.set(tag, samples);
+            if (played.size > MAX_TRACKED_TAGS) {
+                played.delete(played.keys().next().value);
+            }
+        }
+
+        node.port.onmessage = (event) => {
+            const message = event.data;
+            track(message.tag, message.tagPlayed);
+            pending = message.buffered;
+            if (message.type === 'flushed') {
+                const waiters = flushWaiters;
+                flushWaiters = [];
+                const result = {
+                    tag: message.tag,
+                    playedMs: samplesToMs(message.tagPlayed),
+                    heardMs: heardMs(message.tagPlayed)
+                };
+                waiters.forEach(resolve => resolve(result));
+            }
+            setActive(message.playing || message.buffered > 0);
+        };
+
+        function samplesToMs(samples) {
+            return Math.round(samples / sampleRate * 1000);
+        }
+
+        // 已经交给声卡但还在输出延迟里的部分用户还没听到
+        function heardMs(samples) {
+            const latencyMs = (context.outputLatency || context.baseLatency || 0) * 1000;
+            return Math.max(0, Math.round(samples / sampleRate * 1000 - latencyMs));
+        }
+
+        // 追加一段 PCM16 单声道音频（ArrayBuffer 或 TypedArray），tag 用于统计播放进度
+        function push(data, tag) {
+            if (closed) return;
+            const bytes = data instanceof ArrayBuffer
+                ? new Uint8Array(data)
+                : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+            // PCM16 每个采样 2 字节，奇数长度时丢掉最后一个字节；复制一份再转移，调用方的数据不受影响
+            const byteLength = bytes.length - (bytes.length % 2);
+            if (byteLength === 0) return;
+            const pcm = bytes.slice(0, byteLength).buffer;
+            node.port.postMessage({ type: 'push', pcm, tag }, [pcm]);
+            pending += byteLength / 2;
+            setActive(true);
+            if (context.state === 'suspended') {
+                context.resume().catch(() => {});
+            }
+        }
+
+        // 清空队列，当前音频快速淡出；返回 { tag, playedMs, heardMs }：最后播放的标签及其实际播放 / 估计听到的毫秒数
+        // 还在抖动缓冲中时返回队首音频的标签，playedMs 为 0
+        function flush() {
+            if (closed) return Promise.resolve({ tag: null, playedMs: 0, heardMs: 0 });
+            return new Promise(resolve => {
+                flushWaiters.push(resolve);
+                node.port.postMessage({ type: 'flush' });
+            });
+        }
+
+        // 某个标签已经播放的毫秒数（按最近一次进度报告，误差不超过一个报告间隔）
+        function playedMs(tag) {
+            return played.has(tag) ? samplesToMs(played.get(tag)) : 0;
+        }
+
+        function setJitterMs(ms) {
+            node.port.postMessage({ type: 'jitter', jitterMs: normalizeJitterMs(ms) });
+        }
+
+        function close() {
+            if (closed) return;
+            closed = true;
+            flushWaiters.forEach(resolve => resolve({ tag: null, playedMs: 0, heardMs: 0 }));
+            flushWaiters = [];
+            node.port.onmessage = null;
+            node.disconnect();
+            setActive(false);
+            if (context.state !== 'closed') {
+                context.close().catch(() => {});
+            }
+        }
+
+        return {
+            context,
+            sampleRate,
+            jitterMs: normalizeJitterMs(jitterMs),
+            push,
+            flush,
+            playedMs,
+            isActive: () => active,
+            bufferedMs: () => samplesToMs(pending),
+            setJitterMs,
+            resume: () => context.resume(),
+            close
+        };
+    }
+
+    return {
+        JITTER_BUFFER_MS,
+        DEFAULT_JITTER_MS,
+        normalizeJitterMs,
+        createAudioPlayer
+    };
+});
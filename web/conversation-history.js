@@ -0,0 +1,464 @@
+// 对话历史：把每次会话的轮次保存在浏览器的 IndexedDB 中，并导出为 JSON、Markdown 学习笔记或 SRT 字幕
+// GLM 和豆包两个前端页面共用（<script src="web/conversation-history.js">），导出函数也可以在 Node 中 require
+// 打断时按实际播放的语音截断 AI 回复文字（createSpeechTracker）也在这里
+//
+// 会话 session：{ id, provider, title, instructions, startedAt, endedAt, turnCount, resumedFrom（继续的会话 ID）}
+// 轮次 turn：{ sessionId, id, seq, role: user / assistant / tool / system, text, status, time,
+//             startMs, endMs（相对会话开始的毫秒数，用于字幕）, name, arguments, output, isError（工具调用）,
+//             audio（可选，PCM16 单声道 Blob）, audioSampleRate }
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.ConversationHistory = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DB_NAME = 'realtime-voice-history';
+    const DB_VERSION = 1;
+    const ROLE_LABELS = { user: '我', assistant: 'AI 助教', tool: '工具', system: '系统' };
+    const PROVIDER_LABELS = { glm: 'GLM-Realtime', doubao: '豆包' };
+    const TURN_FIELDS = ['id', 'seq', 'role', 'text', 'status', 'time', 'startMs', 'endMs',
+        'name', 'arguments', 'output', 'isError'];
+    const SAVE_DELAY_MS = 300;
+
+    function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onabort = tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // 打开历史数据库，返回 { listSessions, getSession, saveSession, saveTurn, deleteSession }
+    function openHistoryStore({ dbName = DB_NAME } = {}) {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('当前浏览器不支持 IndexedDB'));
+        }
+        const open = indexedDB.open(dbName, DB_VERSION);
+        open.onupgradeneeded = () => {
+            const db = open.result;
+            db.createObjectStore('sessions', { keyPath: 'id' });
+            const turns = db.createObjectStore('turns', { keyPath: ['sessionId', 'id'] });
+            turns.createIndex('sessionId', 'sessionId');
+        };
+        return requestToPromise(open).then(db => {
+            // 新会话排在前面
+            async function listSessions() {
+                const tx = db.transaction('sessions', 'readonly');
+                const sessions = await requestToPromise(tx.objectStore('sessions').getAll());
+                return sessions.sort((a, b) => b.startedAt - a.startedAt);
+            }
+
+            // 返回 { session, turns }，会话不存在时返回 null
+            async function getSession(id) {
+                const tx = db.transaction(['sessions', 'turns'], 'readonly');
+                const session = await requestToPromise(tx.objectStore('sessions').get(id));
+                if (!session) return null;
+                const turns = await requestToPromise(tx.objectStore('turns').index('sessionId').getAll(id));
+                return { session, turns: turns.sort((a, b) => a.seq - b.seq) };
+            }
+
+            function saveSession(session) {
+                const tx = db.transaction('sessions', 'readwrite');
+                tx.objectStore('sessions').put(session);
+                return transactionDone(tx);
+            }
+
+            function saveTurn(turn) {
+                const tx = db.transaction('turns', 'readwrite');
+                tx.objectStore('turns').put(turn);
+                return transactionDone(tx);
+            }
+
+            async function deleteSession(id) {
+                const tx = db.transaction(['sessions', 'turns'], 'readwrite');
+                tx.objectStore('sessions').delete(id);
+                const turnStore = tx.objectStore('turns');
+                const keys = await requestToPromise(turnStore.index('sessionId').getAllKeys(id));
+                keys.forEach(key => turnStore.delete(key));
+                return transactionDone(tx);
+            }
+
+            return { listSessions, getSession, saveSession, saveTurn, deleteSession };
+        });
+    }
+
+    function sessionTitle(text, startedAt) {
+        const firstLine = (text || '').trim().split('\n')[0];
+        if (firstLine) {
+            return firstLine.length > 30 ? firstLine.slice(0, 30) + '…' : firstLine;
+        }
+        return `会话 ${new Date(startedAt).toLocaleString()}`;
+    }
+
+    // 记录一次会话：轮次变化时调用 saveTurn，同一轮次的连续更新合并后写入（流式文本每个片段都会更新）
+    // storePromise 为 openHistoryStore() 的结果；打开失败时只在控制台提示，不影响对话
+    // resumedFrom 为继续的以前会话，新会话沿用它的标题
+    function createSessionRecorder(storePromise, { provider, instructions = '', saveAudio = false, resumedFrom = null }) {
+        const startedAt = Date.now();
+        const session = {
+            id: `${provider}_${startedAt}_${Math.random().toString(36).slice(2, 8)}`,
+            provider,
+            title: resumedFrom ? `续：${resumedFrom.title.replace(/^续：/, '')}` : sessionTitle('', startedAt),
+            instructions,
+            startedAt,
+            endedAt: startedAt,
+            turnCount: 0,
+            resumedFrom: resumedFrom ? resumedFrom.id : null
+        };
+        const turns = new Map();       // turn.id -> 要保存的记录
+        const audioChunks = new Map(); // turn.id -> { chunks, sampleRate }
+        const timers = new Map();
+        let titled = Boolean(resumedFrom);
+        let sessionSaved = null;
+        let audioStartedAt = null;
+
+        function elapsed() {
+            return Date.now() - startedAt;
+        }
+
+        // 麦克风开始采集的时间，服务端返回的 audio_start_ms 等以此为起点
+        function markAudioStart() {
+            if (audioStartedAt === null) audioStartedAt = Date.now();
+        }
+
+        function fromAudioMs(audioMs) {
+            return (audioStartedAt === null ? 0 : audioStartedAt - startedAt) + audioMs;
+        }
+
+        function saveSessionRecord() {
+            session.endedAt = Date.now();
+            sessionSaved = storePromise.then(store => store.saveSession(Object.assign({}, session)));
+            return sessionSaved;
+        }
+
+        async function flushTurn(id) {
+            timers.delete(id);
+            const record = turns.get(id);
+            if (!record) return;
+            const audio = audioChunks.get(id);
+            if (audio && audio.chunks.length > 0) {
+                record.audio = new Blob(audio.chunks, { type: 'audio/L16' });
+                record.audioSampleRate = audio.sampleRate;
+            }
+            try {
+                await saveSessionRecord();
+                const store = await storePromise;
+                await store.saveTurn(record);
+            } catch (e) {
+                console.warn('⚠️ 保存对话历史失败:', e);
+            }
+        }
+
+        function saveTurn(turn) {
+            if (!turns.has(turn.id)) {
+                session.turnCount++;
+            }
+            const record = { sessionId: session.id, seq: turns.has(turn.id) ? turns.get(turn.id).seq : session.turnCount };
+            TURN_FIELDS.forEach(field => {
+                if (turn[field] !== undefined && field !== 'seq') record[field] = turn[field];
+            });
+            turns.set(turn.id, record);
+            if (!titled && turn.role === 'user' && turn.text && turn.status !== 'streaming') {
+                session.title = sessionTitle(turn.text, startedAt);
+                titled = true;
+            }
+            clearTimeout(timers.get(turn.id));
+            timers.set(turn.id, setTimeout(() => flushTurn(turn.id), SAVE_DELAY_MS));
+        }
+
+        // 保存某一轮的音频（PCM16），只在 saveAudio 为 true 时生效
+        function appendAudio(turnId, data, sampleRate) {
+            if (!saveAudio) return;
+            if (!audioChunks.has(turnId)) {
+                audioChunks.set(turnId, { chunks: [], sampleRate });
+            }
+            audioChunks.get(turnId).chunks.push(data);
+        }
+
+        // 会话结束时立即写入还在等待的轮次
+        async function finish() {
+            const pending = Array.from(timers.keys());
+            pending.forEach(id => clearTimeout(timers.get(id)));
+            await Promise.all(pending.map(flushTurn));
+            if (session.turnCount > 0) {
+                await saveSessionRecord().catch(e => console.warn('⚠️ 保存对话历史失败:', e));
+            }
+        }
+
+        return { session, elapsed, markAudioStart, fromAudioMs, saveTurn, appendAudio, finish };
+    }
+
+    function truncate(text, maxLength) {
+        return text.length > maxLength ? text.slice(0, maxLength) + '…' : text;
+    }
+
+    function firstSentence(text, maxLength) {
+        const match = /^[^。！？!?\n]*[。！？!?]?/.exec(text.trim());
+        return truncate(match[0] || text.trim(), maxLength);
+    }
+
+    // 把较早的对话压缩成每轮一行的摘要：提问保留前 60 字，回答只保留第一句；超出 maxChars 时从最早的开始省略
+    function summarizeTurns(turns, maxChars) {
+        const lines = turns.map(turn => turn.role === 'user'
+            ? `学生：${firstSentence(turn.text, 60)}`
+            : `助教：${firstSentence(turn.text, 80)}`);
+        let total = lines.reduce((sum, line) => sum + line.length + 1, 0);
+        let dropped = 0;
+        while (lines.length > 0 && total > maxChars) {
+            total -= lines.shift().length + 1;
+            dropped++;
+        }
+        if (dropped > 0) {
+            lines.unshift(`（更早的 ${dropped} 轮已省略）`);
+        }
+        return lines.join('\n');
+    }
+
+    // 继续以前的会话：最近的对话原文带入新会话，更早的部分压缩成摘要
+    // 返回 { items: [{ role, text }], summary, summarized }，summarized 为压缩进摘要的轮数
+    function buildResumeContext(turns, { maxItems = 20, maxChars = 4000, summaryChars = 1500 } = {}) {
+        const dialog = turns.filter(turn => (turn.role === 'user' || turn.role === 'assistant') && turn.text && turn.text.trim());
+        const items = [];
+        let chars = 0;
+        for (let i = dialog.length - 1; i >= 0 && items.length < maxItems; i--) {
+            const text = dialog[i].text.trim();
+            if (items.length > 0 && chars + text.length > maxChars) break;
+            items.unshift({ role: dialog[i].role, text: truncate(text, maxChars) });
+            chars += text.length;
+        }
+        const earlier = dialog.slice(0, dialog.length - items.length);
+        return {
+            items,
+            summary: earlier.length > 0 ? summarizeTurns(earlier, summaryChars) : '',
+            summarized: earlier.length
+        };
+    }
+
+    // 继续会话时附加到系统提示词后面的说明
+    function resumeInstructions(instructions, session, context) {
+        const parts = [instructions, '', `本次对话是之前对话「${session.title.replace(/^续：/, '')}」的继续，请接着之前的内容辅导，不要重新开始。`];
+        if (context.summary) {
+            parts.push('更早的对话摘要：', context.summary);
+        }
+        return parts.join('\n');
+    }
+
+    // 打断后只保留用户听到的文字：marks 为每段语音到达时记下的 { startMs, endMs, from, to }，
+    // 即这段语音对应 [from, to) 的文字（按到达顺序估计），在语音内部按时长比例插值
+    function spokenTextAt(marks, text, heardMs) {
+        let chars = 0;
+        for (const mark of marks) {
+            if (heardMs >= mark.endMs) {
+                chars = mark.to;
+                continue;
+            }
+            if (heardMs > mark.startMs) {
+                const ratio = (heardMs - mark.startMs) / (mark.endMs - mark.startMs);
+                chars = Math.round(mark.from + (mark.to - mark.from) * ratio);
+            }
+            break;
+        }
+        return text.slice(0, chars);
+    }
+
+    // 跟踪一轮 AI 回复的文字与语音，打断时用 spokenText(heardMs) 得到已经播放的文字
+    function createSpeechTracker() {
+        let text = '';
+        let audioMs = 0;
+        let spokenChars = 0;
+        const marks = [];
+
+        return {
+            addText(delta) {
+                text += delta;
+            },
+            // done 事件的完整文本
+            setText(fullText) {
+                if (fullText && fullText.length >= text.length) text = fullText;
+            },
+            addAudio(ms) {
+                if (!(ms > 0)) return;
+                marks.push({ startMs: audioMs, endMs: audioMs + ms, from: spokenChars, to: text.length });
+                spokenChars = text.length;
+                audioMs += ms;
+            },
+            get text() {
+                return text;
+            },
+            get audioMs() {
+                return audioMs;
+            },
+            spokenText(heardMs) {
+                return spokenTextAt(marks, text, heardMs);
+            }
+        };
+    }
+
+    function pad(n, width = 2) {
+        return String(n).padStart(width, '0');
+    }
+
+    // 毫秒数格式化为 mm:ss（超过一小时为 h:mm:ss）
+    function formatClock(ms) {
+        const total = Math.max(0, Math.floor(ms / 1000));
+        const h = Math.floor(total / 3600);
+        const m = Math.floor(total / 60) % 60;
+        const s = total % 60;
+        return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+    }
+
+    function formatSrtTime(ms) {
+        const total = Math.max(0, Math.round(ms));
+        return `${pad(Math.floor(total / 3600000))}:${pad(Math.floor(total / 60000) % 60)}:` +
+            `${pad(Math.floor(total / 1000) % 60)},${pad(total % 1000, 3)}`;
+    }
+
+    function toolSummary(turn) {
+        const parts = [`🔧 工具 \`${turn.name}\``];
+        if (turn.arguments) parts.push(`参数 \`${turn.arguments}\``);
+        if (turn.output) parts.push(`${turn.isError ? '失败' : '结果'}：${turn.output}`);
+        else if (turn.status === 'rejected') parts.push('未执行');
+        return parts.join('，');
+    }
+
+    function toJson(session, turns) {
+        return JSON.stringify({
+            version: 1,
+            session,
+            turns: turns.map(turn => {
+                const copy = Object.assign({}, turn);
+                delete copy.audio;
+                delete copy.audioSampleRate;
+                return copy;
+            })
+        }, null, 2);
+    }
+
+    // 复习用的 Markdown 笔记：会话信息、我的提问列表和完整对话
+    function toMarkdown(session, turns) {
+        const lines = [`# ${session.title}`, ''];
+        lines.push(`- 时间：${new Date(session.startedAt).toLocaleString()}`);
+        lines.push(`- 服务：${PROVIDER_LABELS[session.provider] || session.provider}`);
+        lines.push(`- 时长：${formatClock(session.endedAt - session.startedAt)}`);
+        lines.push('');
+
+        if (session.instructions) {
+            lines.push('## 助教设定', '');
+            session.instructions.split('\n').forEach(line => lines.push(`> ${line}`));
+            lines.push('');
+        }
+
+        const questions = turns.filter(turn => turn.role === 'user' && turn.text);
+        if (questions.length > 0) {
+            lines.push('## 我的提问', '');
+            questions.forEach((turn, i) => lines.push(`${i + 1}. ${turn.text.replace(/\n/g, ' ')}`));
+            lines.push('');
+        }
+
+        lines.push('## 对话记录', '');
+        turns.forEach(turn => {
+            const at = typeof turn.startMs === 'number' ? ` · ${formatClock(turn.startMs)}` : '';
+            if (turn.role === 'tool') {
+                lines.push(`> ${toolSummary(turn)}`, '');
+            } else if (turn.role === 'system') {
+                lines.push(`---`, '', `*${turn.text}*`, '');
+            } else if (turn.text) {
+                lines.push(`**${ROLE_LABELS[turn.role]}**${at}${turn.status === 'interrupted' ? '（被打断）' : ''}`, '');
+                lines.push(turn.text, '');
+            }
+        });
+        return lines.join('\n');
+    }
+
+    // SRT 字幕：每一轮用户或 AI 的话一条，时间为相对会话开始的 startMs / endMs
+    // 没有结束时间的轮次按文字长度估算显示时长
+    function toSrt(session, turns) {
+        const cues = turns
+            .filter(turn => (turn.role === 'user' || turn.role === 'assistant') && turn.text && typeof turn.startMs === 'number')
+            .map(turn => {
+                const end = typeof turn.endMs === 'number' && turn.endMs > turn.startMs
+                    ? turn.endMs
+                    : turn.startMs + Math.max(1500, turn.text.length * 200);
+                return { start: turn.startMs, end, text: `${ROLE_LABELS[turn.role]}：${turn.text}` };
+            })
+            .sort((a, b) => a.start - b.start);
+        return cues.map((cue, i) =>
+            `${i + 1}\n${formatSrtTime(cue.start)} --> ${formatSrtTime(cue.end)}\n${cue.text}\n`
+        ).join('\n');
+    }
+
+    const EXPORT_FORMATS = {
+        json: { extension: 'json', mime: 'application/json', render: toJson },
+        markdown: { extension: 'md', mime: 'text/markdown', render: toMarkdown },
+        srt: { extension: 'srt', mime: 'application/x-subrip', render: toSrt }
+    };
+
+    // 返回 { filename, mime, content }
+    function exportSession(session, turns, format) {
+        const spec = EXPORT_FORMATS[format];
+        if (!spec) {
+            throw new Error(`不支持的导出格式: ${format}`);
+        }
+        const date = new Date(session.startedAt);
+        const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+        const name = session.title.replace(/[\\/:*?"<>|\s]+/g, '_').slice(0, 40);
+        return {
+            filename: `${name}-${stamp}.${spec.extension}`,
+            mime: spec.mime,
+            content: spec.render(session, turns)
+        };
+    }
+
+    function downloadFile({ filename, mime, content }) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // 播放保存的 PCM16 音频，返回 AudioBufferSourceNode
+    async function playTurnAudio(audioContext, turn) {
+        const data = new Int16Array(await turn.audio.arrayBuffer());
+        const buffer = audioContext.createBuffer(1, data.length, turn.audioSampleRate);
+        const channel = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            channel[i] = data[i] / 32768;
+        }
+        const source = audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.connect(audioContext.destination);
+        source.start();
+        return source;
+    }
+
+    return {
+        ROLE_LABELS,
+        PROVIDER_LABELS,
+        openHistoryStore,
+        createSessionRecorder,
+        formatClock,
+        buildResumeContext,
+        resumeInstructions,
+        spokenTextAt,
+        createSpeechTracker,
+        toJson,
+        toMarkdown,
+        toSrt,
+        exportSession,
+        downloadFile,
+        playTurnAudio
+    };
+});
@@ -0,0 +1,66 @@
+// 麦克风采集的 AudioWorklet 处理器，在音频线程运行（由 web/audio-capture.js 加载）
+// 采集采样率与目标采样率不同时先经 web/resampler.js 重采样，再把 Float32 采样转换为 PCM16，
+// 凑满 frameMs 毫秒后把这一帧连同峰值和 RMS 音量发给主线程
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { frameMs = 100, targetRate = sampleRate } = options.processorOptions || {};
+        // sampleRate 为 AudioContext 实际运行的采样率，浏览器可能不采用页面要求的值
+        this.resampler = targetRate !== sampleRate
+            ? globalThis.AudioResampler.createResampler(sampleRate, targetRate)
+            : null;
+        this.frameSamples = Math.max(1, Math.round(targetRate * frameMs / 1000));
+        this.frame = new Int16Array(this.frameSamples);
+        this.offset = 0;
+        this.peak = 0;
+        this.sumSquares = 0;
+        // 停止前主线程发送 flush，把重采样器中剩余的采样和不满一帧的部分也发出去
+        this.port.onmessage = (event) => {
+            if (event.data && event.data.type === 'flush') {
+                if (this.resampler) {
+                    this.write(this.resampler.flush());
+                }
+                this.flush();
+            }
+        };
+    }
+
+    flush() {
+        if (this.offset === 0) return;
+        const pcm = this.frame.slice(0, this.offset);
+        this.port.postMessage({
+            type: 'frame',
+            pcm: pcm.buffer,
+            peak: this.peak,
+            rms: Math.sqrt(this.sumSquares / this.offset)
+        }, [pcm.buffer]);
+        this.offset = 0;
+        this.peak = 0;
+        this.sumSquares = 0;
+    }
+
+    write(samples) {
+        for (let i = 0; i < samples.length; i++) {
+            const s = Math.max(-1, Math.min(1, samples[i]));
+            this.frame[this.offset++] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+            const level = Math.abs(s);
+            if (level > this.peak) this.peak = level;
+            this.sumSquares += s * s;
+            if (this.offset === this.frameSamples) {
+                this.flush();
+            }
+        }
+    }
+
+    process(inputs) {
+        // 只取第一个声道
+        const channel = inputs[0] && inputs[0][0];
+        if (!channel) return true;
+
+        this.write(this.resampler ? this.resampler.process(channel) : channel);
+        return true;
+    }
+}
+
+registerProcessor('pcm-capture', PcmCaptureProcessor);
@@ -0,0 +1,172 @@
+// AI 语音播放的 AudioWorklet 处理器，在音频线程运行（由 web/audio-playback.js 加载）
+// 收到的 PCM16 片段按顺序排队，连续的片段逐采样衔接；队列里的音频凑够抖动缓冲（或等满同样的时长）才开始播放，
+// 播放中断（网络抖动导致队列播空）时把最后的采样淡出到静音，恢复时淡入
+// 片段衔接处按上一片段末尾的走势外推下一个采样，与新片段第一个采样的差值在 crossfadeMs 内逐渐过渡到 0：
+// 连续的音频差值接近 0，几乎不受影响；不连续（如换了一段回复）时不会出现爆音
+// 按标签（如 GLM 的 item_id）统计已经播放的采样数，用于打断时计算实际播放到的位置
+
+class PcmPlaybackProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { jitterMs = 80, crossfadeMs = 8, progressMs = 50 } = options.processorOptions || {};
+        this.jitterSamples = Math.round(sampleRate * jitterMs / 1000);
+        this.crossfadeSamples = Math.max(1, Math.round(sampleRate * crossfadeMs / 1000));
+        this.progressSamples = Math.round(sampleRate * progressMs / 1000);
+        this.queue = [];          // { samples: Int16Array, offset, tag }
+        this.buffered = 0;        // 队列中尚未播放的采样数
+        this.playing = false;
+        this.waited = 0;          // 缓冲阶段已经等待的采样数
+        this.fadeIn = 0;          // 剩余的淡入采样数
+        this.tail = 0;            // 播空后淡出用的最后一个采样值
+        this.tailLeft = 0;
+        this.flushing = false;    // flush 时先淡出当前音频再清空
+        this.fadeOut = 0;
+        this.continuous = false;  // 上一个采样来自队列（没有播空或重新开始），下一个片段开头要衔接
+        this.last = 0;            // 最近两个播放的采样（淡入淡出之前），用于外推衔接处的采样
+        this.prev = 0;
+        this.seamOffset = 0;      // 衔接处的差值，在 seamLeft 个采样内过渡到 0
+        this.seamLeft = 0;
+        this.tag = null;          // 正在播放的标签
+        this.tagPlayed = 0;       // 当前标签已播放的采样数
+        this.totalPlayed = 0;
+        this.sinceProgress = 0;
+
+        this.port.onmessage = (event) => {
+            const message = event.data || {};
+            if (message.type === 'push') {
+                const samples = new Int16Array(message.pcm);
+                if (samples.length === 0) return;
+                this.queue.push({ samples, offset: 0, tag: message.tag });
+                this.buffered += samples.length;
+            } else if (message.type === 'flush') {
+                if (this.playing && this.buffered > 0) {
+                    this.flushing = true;
+                    this.fadeOut = Math.min(this.crossfadeSamples, this.buffered);
+                } else {
+                    // 还在抖动缓冲中：队首的音频一点都没播放，报告它的标签和 0，而不是上一段音频的标签和进度
+                    if (this.queue.length > 0 && this.queue[0].tag !== this.tag) {
+                        this.tag = this.queue[0].tag;
+                        this.tagPlayed = 0;
+                    }
+                    this.clear();
+                }
+            } else if (message.type === 'jitter') {
+                this.jitterSamples = Math.round(sampleRate * message.jitterMs / 1000);
+            }
+        };
+    }
+
+    report(type) {
+        this.port.postMessage({
+            type,
+            tag: this.tag,
+            tagPlayed: this.tagPlayed,
+            totalPlayed: this.totalPlayed,
+            buffered: this.buffered,
+            playing: this.playing
+        });
+        this.sinceProgress = 0;
+    }
+
+    clear() {
+        this.queue = [];
+        this.buffered = 0;
+        this.flushing = false;
+        this.fadeOut = 0;
+        this.tailLeft = 0;
+        this.seamLeft = 0;
+        this.continuous = false;
+        this.setPlaying(false);
+        this.report('flushed');
+    }
+
+    setPlaying(playing) {
+        if (this.playing === playing) return;
+        this.playing = playing;
+        this.waited = 0;
+        this.continuous = false;
+        if (playing) this.fadeIn = this.crossfadeSamples;
+        this.report('state');
+    }
+
+    // 取出下一个采样（-1~1），同时统计标签的播放进度
+    next() {
+        const chunk = this.queue[0];
+        if (chunk.tag !== this.tag) {
+            this.tag = chunk.tag;
+            this.tagPlayed = 0;
+        }
+        const seam = chunk.offset === 0 && this.continuous;
+        let value = chunk.samples[chunk.offset++] / 32768;
+        if (chunk.offset >= chunk.samples.length) this.queue.shift();
+        if (seam) {
+            this.seamOffset = 2 * this.last - this.prev - value;
+            this.seamLeft = this.crossfadeSamples;
+        }
+        if (this.seamLeft > 0) {
+            value = Math.max(-1, Math.min(1, value + this.seamOffset * (this.seamLeft / this.crossfadeSamples)));
+            this.seamLeft--;
+        }
+        this.prev = this.continuous ? this.last : value;
+        this.last = value;
+        this.continuous = true;
+        this.buffered--;
+        this.tagPlayed++;
+        this.totalPlayed++;
+        return value;
+    }
+
+    process(inputs, outputs) {
+        const output = outputs[0][0];
+        if (!output) return true;
+
+        if (!this.playing && this.buffered > 0) {
+            this.waited += output.length;
+            if (this.buffered >= this.jitterSamples || this.waited >= this.jitterSamples) {
+                this.setPlaying(true);
+            }
+        }
+
+        for (let i = 0; i < output.length; i++) {
+            if (!this.playing || this.buffered === 0) {
+                // 播空：从最后一个采样线性淡出，避免直接跳到 0 产生爆音
+                output[i] = this.tailLeft > 0 ? this.tail * (--this.tailLeft / this.crossfadeSamples) : 0;
+                continue;
+            }
+            let value = this.next();
+            if (this.fadeIn > 0) {
+                value *= 1 - this.fadeIn / this.crossfadeSamples;
+                this.fadeIn--;
+            }
+            if (this.flushing) {
+                value *= this.fadeOut / this.crossfadeSamples;
+                this.fadeOut--;
+                if (this.fadeOut <= 0) {
+                    output[i] = value;
+                    this.clear();
+                    continue;
+                }
+            }
+            output[i] = value;
+            this.tail = value;
+            this.tailLeft = this.crossfadeSamples;
+        }
+
+        if (this.playing && this.buffered === 0) {
+            // 队列播空，重新进入缓冲，等下一段音频
+            this.setPlaying(false);
+        }
+
+        for (let c = 1; c < outputs[0].length; c++) {
+            outputs[0][c].set(output);
+        }
+
+        this.sinceProgress += output.length;
+        if (this.playing && this.sinceProgress >= this.progressSamples) {
+            this.report('progress');
+        }
+        return true;
+    }
+}
+
+registerProcessor('pcm-playback', PcmPlaybackProcessor);
@@ -0,0 +1,126 @@
+// 按住说话：教室等嘈杂环境下不用服务器 VAD，按住按钮或空格键时才发送麦克风音频，松开即结束本轮
+// GLM 和豆包两个前端页面共用，页面负责发送各自的结束信号（GLM 的 commit + response.create、豆包的 end_asr）
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.PushToTalk = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // vad：服务器检测说话开始和结束；ptt：按住说话
+    const TURN_MODES = ['vad', 'ptt'];
+    const DEFAULT_TURN_MODE = 'vad';
+    // 按住时间短于此值视为误触，不提交本轮
+    const MIN_TALK_MS = 300;
+
+    function normalizeTurnMode(value) {
+        return TURN_MODES.includes(value) ? value : DEFAULT_TURN_MODE;
+    }
+
+    // 正在输入文字时空格键照常输入
+    function isTypingTarget(target) {
+        if (!target) return false;
+        const tag = (target.tagName || '').toUpperCase();
+        return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || Boolean(target.isContentEditable);
+    }
+
+    // 绑定按钮和空格键，返回 { isPressed, cancel, unbind }
+    // isEnabled()：当前是否处于按住说话的会话中
+    // onPress()：开始说话；onRelease()：松开 tailMs 毫秒后调用（把最后一帧音频也发出去），期间再次按下视为同一轮
+    // tailMs 可以是数字或返回数字的函数
+    function bindPushToTalk({ button, isEnabled, onPress, onRelease, tailMs = 0 }) {
+        let pressed = false;
+        let releaseTimer = null;
+
+        function press() {
+            if (pressed || !isEnabled()) return;
+            pressed = true;
+            button.classList.add('active');
+            if (releaseTimer) {
+                // 松开后很快又按下，继续同一轮
+                clearTimeout(releaseTimer);
+                releaseTimer = null;
+                return;
+            }
+            onPress();
+        }
+
+        function release() {
+            if (!pressed) return;
+            pressed = false;
+            button.classList.remove('active');
+            const delay = typeof tailMs === 'function' ? tailMs() : tailMs;
+            releaseTimer = setTimeout(() => {
+                releaseTimer = null;
+                onRelease();
+            }, delay);
+        }
+
+        // 会话结束时丢弃还没结束的一轮
+        function cancel() {
+            pressed = false;
+            button.classList.remove('active');
+            clearTimeout(releaseTimer);
+            releaseTimer = null;
+        }
+
+        function onPointerDown(event) {
+            if (event.button !== undefined && event.button !== 0) return;
+            event.preventDefault();
+            if (button.setPointerCapture && event.pointerId !== undefined) {
+                button.setPointerCapture(event.pointerId);
+            }
+            press();
+        }
+
+        function preventDefault(event) {
+            event.preventDefault();
+        }
+
+        function onKeyDown(event) {
+            if (event.code !== 'Space' || isTypingTarget(event.target) || !isEnabled()) return;
+            // 阻止空格触发当前获得焦点的按钮
+            event.preventDefault();
+            if (!event.repeat) press();
+        }
+
+        function onKeyUp(event) {
+            if (event.code !== 'Space' || !pressed) return;
+            event.preventDefault();
+            release();
+        }
+
+        button.addEventListener('pointerdown', onPointerDown);
+        button.addEventListener('pointerup', release);
+        button.addEventListener('pointercancel', release);
+        // 触屏长按不弹出菜单
+        button.addEventListener('contextmenu', preventDefault);
+        window.addEventListener('keydown', onKeyDown);
+        window.addEventListener('keyup', onKeyUp);
+        // 按住时切换窗口收不到 keyup
+        window.addEventListener('blur', release);
+
+        function unbind() {
+            cancel();
+            button.removeEventListener('pointerdown', onPointerDown);
+            button.removeEventListener('pointerup', release);
+            button.removeEventListener('pointercancel', release);
+            button.removeEventListener('contextmenu', preventDefault);
+            window.removeEventListener('keydown', onKeyDown);
+            window.removeEventListener('keyup', onKeyUp);
+            window.removeEventListener('blur', release);
+        }
+
+        return { isPressed: () => pressed, cancel, unbind };
+    }
+
+    return {
+        TURN_MODES,
+        DEFAULT_TURN_MODE,
+        MIN_TALK_MS,
+        normalizeTurnMode,
+        bindPushToTalk
+    };
+});
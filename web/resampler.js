@@ -0,0 +1,154 @@
+// 重采样：浏览器不按要求的 16kHz 采集（常见 44.1kHz、48kHz）时，把麦克风音频转换为服务商要求的采样率
+// 使用加 Blackman 窗的 sinc 插值，降采样时截止频率随之降低，起到抗混叠低通滤波的作用
+// 由采集 worklet（web/pcm-capture-worklet.js）在音频线程加载，也可以在 Node 中 require 后单独测试
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.AudioResampler = api;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    // 每侧的过零点数，越大过渡带越窄、计算量越大
+    const DEFAULT_ZERO_CROSSINGS = 16;
+    // 截止频率占目标奈奎斯特频率的比例，留出过渡带避免混叠
+    const DEFAULT_ROLLOFF = 0.92;
+    // 核函数查找表每个输入采样间隔的点数
+    const TABLE_RESOLUTION = 256;
+
+    function sinc(x) {
+        if (x === 0) return 1;
+        const px = Math.PI * x;
+        return Math.sin(px) / px;
+    }
+
+    // Blackman 窗，u 取 -1~1
+    function blackman(u) {
+        if (u <= -1 || u >= 1) return 0;
+        return 0.42 + 0.5 * Math.cos(Math.PI * u) + 0.08 * Math.cos(2 * Math.PI * u);
+    }
+
+    // 低通插值核参数：cutoff 为相对输入采样率奈奎斯特频率的截止频率，halfWidth 为每侧覆盖的输入采样数
+    function kernelParams(inputRate, outputRate, { zeroCrossings = DEFAULT_ZERO_CROSSINGS, rolloff = DEFAULT_ROLLOFF } = {}) {
+        const cutoff = Math.min(1, outputRate / inputRate) * rolloff;
+        return { cutoff, halfWidth: zeroCrossings / cutoff };
+    }
+
+    // 距离插值点 d 个输入采样处的核函数值
+    function kernel(d, { cutoff, halfWidth }) {
+        return cutoff * sinc(cutoff * d) * blackman(d / halfWidth);
+    }
+
+    // 预先计算核函数 [0, halfWidth] 上的取值，插值时线性查表
+    function buildKernelTable(params, resolution = TABLE_RESOLUTION) {
+        const size = Math.ceil(params.halfWidth * resolution) + 2;
+        const table = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            table[i] = kernel(i / resolution, params);
+        }
+        return table;
+    }
+
+    function lookupKernel(table, d, resolution = TABLE_RESOLUTION) {
+        const x = Math.abs(d) * resolution;
+        const i = Math.floor(x);
+        if (i + 1 >= table.length) return 0;
+        const frac = x - i;
+        return table[i] + (table[i + 1] - table[i]) * frac;
+    }
+
+    // 流式重采样器：process(chunk) 每次输入一段 Float32 采样，返回已经可以计算的输出采样
+    // 插值需要插值点之后 halfWidth 个输入采样，因此输出比输入延迟约 halfWidth 个采样；flush() 输出剩余部分
+    function createResampler(inputRate, outputRate, options = {}) {
+        if (!(inputRate > 0) || !(outputRate > 0)) {
+            throw new Error(`采样率无效: ${inputRate} -> ${outputRate}`);
+        }
+        if (inputRate === outputRate) {
+            return {
+                inputRate,
+                outputRate,
+                process: chunk => Float32Array.from(chunk),
+                flush: () => new Float32Array(0)
+            };
+        }
+
+        const params = kernelParams(inputRate, outputRate, options);
+        const table = buildKernelTable(params);
+        const reach = Math.ceil(params.halfWidth);
+        let history = new Float32Array(0);   // 尚未用完的输入采样
+        let offset = 0;                      // history[0] 在整段输入中的序号
+        let outputCount = 0;                 // 已输出的采样数
+
+        function run(buffer, final) {
+            const output = [];
+            const limit = final ? buffer.length : buffer.length - reach;
+            // 每个输出采样的位置按序号直接计算，不逐次累加，避免误差积累；分段处理时位置与一次处理完全相同
+            let position = outputCount * inputRate / outputRate - offset;
+            while (position < limit) {
+                const first = Math.max(0, Math.ceil(position - params.halfWidth));
+                const last = Math.min(buffer.length - 1, Math.floor(position + params.halfWidth));
+                let sum = 0;
+                for (let k = first; k <= last; k++) {
+                    sum += buffer[k] * lookupKernel(table, position - k);
+                }
+                output.push(sum);
+                outputCount++;
+                position = outputCount * inputRate / outputRate - offset;
+            }
+            // 只保留之后插值还会用到的输入采样
+            const keepFrom = Math.min(buffer.length, Math.max(0, Math.floor(position - params.halfWidth)));
+            history = buffer.slice(keepFrom);
+            offset += keepFrom;
+            return Float32Array.from(output);
+        }
+
+        function process(chunk) {
+            const buffer = new Float32Array(history.length + chunk.length);
+            buffer.set(history);
+            buffer.set(chunk, history.length);
+            return run(buffer, false);
+        }
+
+        function flush() {
+            const output = run(history, true);
+            history = new Float32Array(0);
+            offset = 0;
+            outputCount = 0;
+            return output;
+        }
+
+        return { inputRate, outputRate, process, flush };
+    }
+
+    // 一次性重采样整段音频
+    function resample(samples, inputRate, outputRate, options) {
+        const resampler = createResampler(inputRate, outputRate, options);
+        const head = resampler.process(samples);
+        const tail = resampler.flush();
+        const output = new Float32Array(head.length + tail.length);
+        output.set(head);
+        output.set(tail, head.length);
+        return output;
+    }
+
+    // Float32（-1~1）转 PCM16，超出范围的采样截断
+    function floatToPcm16(samples) {
+        const pcm = new Int16Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            const s = Math.max(-1, Math.min(1, samples[i]));
+            pcm[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+        }
+        return pcm;
+    }
+
+    return {
+        sinc,
+        blackman,
+        kernelParams,
+        kernel,
+        createResampler,
+        resample,
+        floatToPcm16
+    };
+});
@@ -0,0 +1,177 @@
+// 客户端语音检测：按每帧音量（dBFS）和自适应的底噪判断是否在说话，只把说话部分发给服务器，长时间不说话时不再上传静音
+// 检测到说话时先补发之前 preRollMs 毫秒的音频（开头的轻声不会被截掉），停止说话后再继续发送 hangoverMs 毫秒，
+// 期间又开始说话则继续发送；停止说话 speechEndMs 毫秒就通知页面，不必等发送结束
+// GLM 和豆包两个前端页面共用；页面可以用 onSpeechStart / onSpeechEnd 立即更新界面，不必等服务器的 VAD 事件
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.VoiceActivity = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_PRE_ROLL_MS = 300;
+    const DEFAULT_HANGOVER_MS = 600;
+    const DEFAULT_SPEECH_END_MS = 400;
+    // 连续这么长都高于开始阈值才算开始说话，过滤咳嗽、敲桌子等短促的声音
+    const DEFAULT_ATTACK_MS = 60;
+    // 开始说话：高于底噪 startMarginDb；继续说话：高于底噪 stopMarginDb（两个阈值之间不切换状态，避免抖动）
+    const DEFAULT_START_MARGIN_DB = 12;
+    const DEFAULT_STOP_MARGIN_DB = 6;
+    // 再安静的环境也要高于这个音量才算说话
+    const DEFAULT_MIN_SPEECH_DB = -50;
+    // 底噪变大时的跟随时长：不说话时约 2 秒，说话时慢 5 倍（持续的噪声最终也会被当作底噪，门不会一直开着）
+    const NOISE_RISE_MS = 2000;
+    const SPEAKING_RISE_FACTOR = 5;
+
+    function toDb(rms) {
+        return 20 * Math.log10(Math.max(rms, 1e-6));
+    }
+
+    // 创建语音门，返回 { process, isSpeaking, isOpen, noiseFloorDb, sentMs, captureMsAt }
+    // process(pcm, rms)：输入一帧 PCM16 单声道 ArrayBuffer 和它的 RMS 音量（0~1），返回这次应该发送的帧（可能为空，也可能带着补发的帧）
+    // onSpeechStart({ captureMs })、onSpeechEnd({ captureMs, durationMs })：captureMs 为相对采集开始的毫秒数
+    function createVoiceGate({
+        sampleRate = 16000,
+        preRollMs = DEFAULT_PRE_ROLL_MS,
+        hangoverMs = DEFAULT_HANGOVER_MS,
+        speechEndMs = DEFAULT_SPEECH_END_MS,
+        attackMs = DEFAULT_ATTACK_MS,
+        startMarginDb = DEFAULT_START_MARGIN_DB,
+        stopMarginDb = DEFAULT_STOP_MARGIN_DB,
+        minSpeechDb = DEFAULT_MIN_SPEECH_DB,
+        onSpeechStart,
+        onSpeechEnd
+    } = {}) {
+        let speaking = false;    // 正在说话
+        let open = false;        // 正在发送（说话中或停止说话后的 hangoverMs 内）
+        let noiseFloor = null;
+        let captureMs = 0;       // 已处理的音频时长
+        let sentMs = 0;          // 已发送的音频时长
+        let aboveMs = 0;         // 连续高于开始阈值的时长
+        let quietMs = 0;         // 连续低于继续阈值的时长
+        let speechStartMs = 0;
+        let lastVoiceMs = 0;     // 最后一帧有声音的结束时间
+        let preRoll = [];        // 不说话时最近的帧 { pcm, captureMs, ms }
+        let preRollTotal = 0;
+        // 每段连续发送的音频：发送时长 -> 采集时长，用于把服务器的音频时间换算回采集时间
+        const segments = [];
+
+        function frameMs(pcm) {
+            return pcm.byteLength / 2 / sampleRate * 1000;
+        }
+
+        function trackNoise(db, ms) {
+            if (noiseFloor === null || db < noiseFloor) {
+                // 底噪变小时立即跟随
+                noiseFloor = db;
+                return;
+            }
+            const riseMs = speaking ? NOISE_RISE_MS * SPEAKING_RISE_FACTOR : NOISE_RISE_MS;
+            noiseFloor += (db - noiseFloor) * Math.min(1, ms / riseMs);
+        }
+
+        function emit(frames, frame) {
+            const last = segments[segments.length - 1];
+            // 与上一段不连续（中间有没发送的音频）时开始新的一段
+            if (!last || Math.abs(last.sentMs + (frame.captureMs - last.captureMs) - sentMs) > 1) {
+                segments.push({ sentMs, captureMs: frame.captureMs });
+            }
+            frames.push(frame.pcm);
+            sentMs += frame.ms;
+        }
+
+        function startSpeech() {
+            speaking = true;
+            quietMs = 0;
+            speechStartMs = captureMs - aboveMs;
+            lastVoiceMs = captureMs;
+            if (onSpeechStart) onSpeechStart({ captureMs: speechStartMs });
+        }
+
+        function process(pcm, rms) {
+            const ms = frameMs(pcm);
+            const db = toDb(rms);
+            const frame = { pcm, captureMs, ms };
+            const frames = [];
+            captureMs += ms;
+
+            if (noiseFloor === null) noiseFloor = db;
+            const startDb = Math.max(noiseFloor + startMarginDb, minSpeechDb);
+            const stopDb = Math.max(noiseFloor + stopMarginDb, minSpeechDb - (startMarginDb - stopMarginDb));
+
+            aboveMs = db >= startDb ? aboveMs + ms : 0;
+            if (!open) {
+                preRoll.push(frame);
+                preRollTotal += ms;
+                if (aboveMs >= attackMs) {
+                    open = true;
+                    // 补发说话前的音频（包括刚才判断开始说话的几帧）
+                    const keepMs = preRollMs + aboveMs;
+                    while (preRoll.length > 1 && preRollTotal - preRoll[0].ms >= keepMs) {
+                        preRollTotal -= preRoll.shift().ms;
+                    }
+                    preRoll.forEach(f => emit(frames, f));
+                    preRoll = [];
+                    preRollTotal = 0;
+                    startSpeech();
+                } else {
+                    // 只保留最近 preRollMs（加上判断开始说话需要的时长）的音频
+                    while (preRoll.length > 1 && preRollTotal - preRoll[0].ms >= preRollMs + attackMs) {
+                        preRollTotal -= preRoll.shift().ms;
+                    }
+                    trackNoise(db, ms);
+                }
+                return frames;
+            }
+
+            emit(frames, frame);
+            trackNoise(db, ms);
+            if (!speaking && aboveMs >= attackMs) {
+                startSpeech();
+            } else if (speaking && db >= stopDb) {
+                quietMs = 0;
+                lastVoiceMs = captureMs;
+            } else {
+                quietMs += ms;
+                if (speaking && quietMs >= Math.min(speechEndMs, hangoverMs)) {
+                    speaking = false;
+                    if (onSpeechEnd) onSpeechEnd({ captureMs: lastVoiceMs, durationMs: lastVoiceMs - speechStartMs });
+                }
+                if (quietMs >= hangoverMs) {
+                    open = false;
+                    aboveMs = 0;
+                }
+            }
+            return frames;
+        }
+
+        // 服务器按收到的音频计时（如 GLM 的 audio_start_ms），换算成相对采集开始的毫秒数
+        function captureMsAt(ms) {
+            let segment = null;
+            for (const s of segments) {
+                if (s.sentMs > ms) break;
+                segment = s;
+            }
+            return segment ? segment.captureMs + (ms - segment.sentMs) : ms;
+        }
+
+        return {
+            process,
+            isSpeaking: () => speaking,
+            isOpen: () => open,
+            noiseFloorDb: () => noiseFloor,
+            sentMs: () => sentMs,
+            captureMsAt
+        };
+    }
+
+    return {
+        DEFAULT_PRE_ROLL_MS,
+        DEFAULT_HANGOVER_MS,
+        DEFAULT_SPEECH_END_MS,
+        toDb,
+        createVoiceGate
+    };
+});